@@ -0,0 +1,11 @@
+#!/usr/bin/env node
+// SPDX-FileCopyrightText: Copyright 2024-2026, The BAClib Initiative and Contributors
+// SPDX-License-Identifier: EPL-2.0
+
+/**
+ * @fileoverview Entry point of the `bacnet-asn1-lsp` language server (see `src/language-server.js`).
+ */
+import { listen } from '../src/language-server.js';
+
+const code = await listen(process.stdin, process.stdout);
+process.exit(code);
@@ -0,0 +1,18 @@
+#!/usr/bin/env node
+// SPDX-FileCopyrightText: Copyright 2024-2026, The BAClib Initiative and Contributors
+// SPDX-License-Identifier: EPL-2.0
+
+/**
+ * @fileoverview Entry point of the `bacnet-asn1` command (see `src/cli.js`).
+ */
+import { run } from '../src/cli.js';
+
+// Output piped into a command that exits early (e.g. `head`) is not an error
+process.stdout.on('error', error => {
+    if (error.code !== 'EPIPE') {
+        throw error;
+    }
+    process.exit(0);
+});
+
+process.exitCode = run(process.argv.slice(2));
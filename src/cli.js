@@ -0,0 +1,318 @@
+// SPDX-FileCopyrightText: Copyright 2024-2026, The BAClib Initiative and Contributors
+// SPDX-License-Identifier: EPL-2.0
+
+/**
+ * @fileoverview Command-line interface for parsing, normalizing and checking ASN.1 files.
+ *
+ * Implements the `bacnet-asn1` command (see `bin/bacnet-asn1.js`):
+ *
+ *   bacnet-asn1 parse [options] [files...]       Write parsed definitions
+ *   bacnet-asn1 normalize [options] [files...]   Write normalized definitions
+ *   bacnet-asn1 check [options] [files...]       Report syntax and semantic problems
+ *   bacnet-asn1 diff [options] <old> <new>       Report changes between two versions
+ *
+ * Files are read from standard input if none (or '-') are given. Output is
+ * pretty-printed JSON or NDJSON (one definition per line). Parse errors and
+ * diagnostics are written to standard error as `file:line:column: message`,
+ * and the exit code is 1 if there are errors (or breaking changes for diff)
+ * and 2 for invalid usage.
+ *
+ * The command logic is exported as `run()` so that it can be used and tested
+ * without spawning a process.
+ */
+import fs from 'node:fs';
+import { parseArgs } from 'node:util';
+import { defaultRules, parse, normalize, ParserError } from './index.js';
+import { extract } from './extract.js';
+import { diff } from './diff.js';
+import { createRegistry } from './registry.js';
+import { toBaclibName } from './to-baclib-name.js';
+import { validate } from './validate.js';
+
+/**
+ * Usage text shown for --help and invalid usage.
+ *
+ * @type {string}
+ */
+const usage = `Usage: bacnet-asn1 <command> [options] [files...]
+
+Commands:
+  parse        Write the parsed definitions
+  normalize    Write the normalized (BAClib) definitions
+  check        Report syntax errors and semantic problems
+  diff         Report the changes from an old to a new version (two files),
+               classed as compatible or breaking for encoders
+
+Options:
+  -f, --format <format>  Output format: json (default) or ndjson; without it, check
+                         writes one problem per line to standard error and diff
+                         one change per line to standard output
+  -n, --name <name>      Only include definitions (or changes of definitions) with this
+                         original or BAClib name
+                         ('*' matches any characters; may be repeated)
+  -l, --locations        Include source locations in parsed definitions
+  -x, --extract          Extract the productions from text copied from the standard,
+                         ignoring prose, page headers and page numbers
+  -r, --rules <file>     JSON file mapping type names to traits (e.g. maximum, length,
+                         proprietary) applied before the default rules (normalize, check)
+  -h, --help             Show this help
+  -v, --version          Show the version
+
+Files are read from standard input if none (or '-') are given.
+`;
+
+/**
+ * Command-line options accepted by all commands.
+ *
+ * @type {Object}
+ */
+const options = {
+    format: { type: 'string', short: 'f' },
+    name: { type: 'string', short: 'n', multiple: true },
+    locations: { type: 'boolean', short: 'l', default: false },
+    extract: { type: 'boolean', short: 'x', default: false },
+    rules: { type: 'string', short: 'r' },
+    help: { type: 'boolean', short: 'h', default: false },
+    version: { type: 'boolean', short: 'v', default: false }
+};
+
+/**
+ * Runs the command line interface.
+ *
+ * @param {Array<string>} args - Command-line arguments (without node and script path)
+ * @param {Object} [io] - Input and output functions (the process streams by default)
+ * @param {Function} [io.readFile] - Reads a file as UTF-8 text
+ * @param {Function} [io.readStdin] - Reads standard input as UTF-8 text
+ * @param {Function} [io.stdout] - Writes text to standard output
+ * @param {Function} [io.stderr] - Writes text to standard error
+ * @returns {number} The exit code: 0 on success, 1 on errors (or breaking changes), 2 on invalid usage
+ */
+export function run(args, io = {}) {
+    const {
+        readFile = file => fs.readFileSync(file, 'utf8'),
+        readStdin = () => fs.readFileSync(0, 'utf8'),
+        stdout = text => process.stdout.write(text),
+        stderr = text => process.stderr.write(text)
+    } = io;
+
+    let parsed;
+    try {
+        parsed = parseArgs({ args, options, allowPositionals: true });
+    } catch (error) {
+        stderr(`bacnet-asn1: ${error.message}\n\n${usage}`);
+        return 2;
+    }
+    const { values, positionals: [command, ...files] } = parsed;
+
+    if (values.help) {
+        stdout(usage);
+        return 0;
+    }
+    if (values.version) {
+        const { version } = JSON.parse(fs.readFileSync(new URL('../package.json', import.meta.url), 'utf8'));
+        stdout(`${version}\n`);
+        return 0;
+    }
+    if (!['parse', 'normalize', 'check', 'diff'].includes(command)) {
+        stderr(`${command ? `bacnet-asn1: Unknown command '${command}'` : 'bacnet-asn1: Missing command'}\n\n${usage}`);
+        return 2;
+    }
+    if (values.format !== undefined && !['json', 'ndjson'].includes(values.format)) {
+        stderr(`bacnet-asn1: Unknown format '${values.format}' (expected json or ndjson)\n`);
+        return 2;
+    }
+    if (command === 'diff' && files.length !== 2) {
+        stderr(`bacnet-asn1: diff expects the old and the new file\n\n${usage}`);
+        return 2;
+    }
+
+    // Read all sources up front, so that missing files are reported before any output
+    const sources = [];
+    for (const file of files.length ? files : ['-']) {
+        try {
+            const text = file === '-' ? readStdin() : readFile(file);
+            const source = { file: file === '-' ? '<stdin>' : file, content: text, ignored: [] };
+            if (values.extract) {
+                Object.assign(source, extract(text));
+            }
+            sources.push(source);
+        } catch (error) {
+            stderr(`bacnet-asn1: Cannot read '${file}': ${error.message}\n`);
+            return 1;
+        }
+    }
+
+    let rules = defaultRules;
+    if (values.rules !== undefined) {
+        try {
+            rules = [JSON.parse(readFile(values.rules)), ...defaultRules];
+        } catch (error) {
+            stderr(`bacnet-asn1: Cannot read rules '${values.rules}': ${error.message}\n`);
+            return 1;
+        }
+    }
+
+    const matches = nameFilter(values.name);
+    if (command === 'check') {
+        return check(sources, matches, rules, values.format, stdout, stderr);
+    }
+
+    const versions = [];
+    for (const { file, content } of sources) {
+        try {
+            versions.push(parse(content, { locations: values.locations }));
+        } catch (error) {
+            if (!(error instanceof ParserError)) {
+                throw error;
+            }
+            stderr(formatParserError(file, error));
+            return 1;
+        }
+    }
+    if (command === 'diff') {
+        return compare(versions, matches, values.format, stdout);
+    }
+    const definitions = versions.flat();
+
+    const selected = definitions.filter(definition => matches(definition.name));
+    const output = command === 'normalize' ? selected.map(definition => normalize(definition, { rules })) : selected;
+    stdout(formatOutput(output, values.format ?? 'json'));
+    return 0;
+}
+
+/**
+ * Parses, registers and validates all sources and reports every problem found.
+ *
+ * Problems are written to standard error (one per line), or as JSON/NDJSON
+ * to standard output if a format is requested. With --extract, the ignored
+ * text is listed as 'info' problems, so that it can be reviewed.
+ *
+ * @returns {number} 1 if there are errors (warnings do not count), 0 otherwise
+ */
+function check(sources, matches, rules, format, stdout, stderr) {
+    const problems = [];
+    const definitions = [];
+    const modules = [];
+
+    for (const { file, content, ignored } of sources) {
+        for (const range of ignored) {
+            const lines = range.end > range.start ? `lines ${range.start}-${range.end}` : `line ${range.start}`;
+            problems.push({
+                file, severity: 'info', code: 'IGNORED_TEXT', line: range.start,
+                message: `Ignored ${range.reason} at ${lines}: '${range.text.split('\n')[0].trim()}'`
+            });
+        }
+        const result = parse(content, { locations: true, recover: true, modules: true });
+        for (const error of result.errors) {
+            problems.push({
+                file, severity: 'error', code: error.code, message: error.message,
+                line: error.line, column: error.column
+            });
+        }
+        // Registry diagnostics name the file of the definition or module they are about
+        for (const definition of result.definitions) {
+            definition.file = file;
+            definitions.push(definition);
+        }
+        for (const module of result.modules) {
+            module.file = file;
+            modules.push(module);
+        }
+        for (const diagnostic of validate(result.definitions, { rules })) {
+            problems.push({ file, ...diagnostic });
+        }
+    }
+
+    for (const diagnostic of createRegistry(definitions, { modules }).diagnostics) {
+        problems.push({ file: diagnostic.file, ...diagnostic });
+    }
+
+    const selected = problems.filter(problem => problem.name === undefined || matches(problem.name));
+    if (format !== undefined) {
+        stdout(formatOutput(selected, format));
+    } else {
+        for (const problem of selected) {
+            const position = [problem.file, problem.line, problem.column].filter(part => part !== undefined).join(':');
+            stderr(`${position}: ${problem.severity}: ${problem.message} [${problem.code}]\n`);
+        }
+    }
+    return selected.some(problem => problem.severity === 'error') ? 1 : 0;
+}
+
+/**
+ * Compares the definitions of an old and a new version and reports the changes.
+ *
+ * Changes are written to standard output (one per line), or as JSON/NDJSON
+ * if a format is requested.
+ *
+ * @returns {number} 1 if there are breaking changes, 0 otherwise
+ */
+function compare([before, after], matches, format, stdout) {
+    // Changes carry BAClib names, while --name may also give original names
+    const originals = new Map([...before, ...after].map(definition => [toBaclibName(definition.name, false), definition.name]));
+    const changes = diff(before, after).filter(change => matches(originals.get(change.name) ?? change.name));
+    if (format !== undefined) {
+        stdout(formatOutput(changes, format));
+    } else {
+        for (const change of changes) {
+            stdout(`${change.compatibility}: ${change.message} [${change.code}]\n`);
+        }
+    }
+    return changes.some(change => change.compatibility === 'breaking') ? 1 : 0;
+}
+
+/**
+ * Creates a predicate for the --name option.
+ *
+ * @param {Array<string>|undefined} patterns - Names, where '*' matches any characters
+ * @returns {Function} Predicate accepting an original definition name
+ */
+function nameFilter(patterns) {
+    if (!patterns?.length) {
+        return () => true;
+    }
+    const expressions = patterns.map(pattern =>
+        new RegExp(`^${pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`));
+    return name => expressions.some(expression =>
+        expression.test(name) || expression.test(toBaclibName(name, false)));
+}
+
+/**
+ * Formats a ParserError with its file position and code frame.
+ *
+ * @param {string} file - The file name
+ * @param {ParserError} error - The error
+ * @returns {string} The error text for standard error
+ */
+function formatParserError(file, error) {
+    return `${file}:${error.line}:${error.column}: error: ${error.message} [${error.code}]\n${error.frame}\n`;
+}
+
+/**
+ * Formats values as pretty-printed JSON or as NDJSON.
+ *
+ * Infinite range limits become 'MIN' and 'MAX', NaN becomes 'NOT-A-NUMBER'
+ * and BigInts become strings, since JSON has no representation for them.
+ *
+ * @param {Array<Object>} values - The values to write
+ * @param {string} format - 'json' or 'ndjson'
+ * @returns {string} The output text
+ */
+function formatOutput(values, format) {
+    const replacer = (key, value) => {
+        if (typeof value === 'bigint') {
+            return value.toString();
+        }
+        if (value === Infinity || value === -Infinity) {
+            return value > 0 ? 'MAX' : 'MIN';
+        }
+        if (Number.isNaN(value)) {
+            return 'NOT-A-NUMBER';
+        }
+        return value;
+    };
+    if (format === 'ndjson') {
+        return values.map(value => JSON.stringify(value, replacer) + '\n').join('');
+    }
+    return JSON.stringify(values, replacer, 4) + '\n';
+}
@@ -0,0 +1,811 @@
+// SPDX-FileCopyrightText: Copyright 2024-2026, The BAClib Initiative and Contributors
+// SPDX-License-Identifier: EPL-2.0
+
+/**
+ * @fileoverview Schema-driven BACnet encoder and decoder for normalized types.
+ *
+ * Encodes plain JavaScript values into BACnet application and context tagged
+ * data (ASHRAE 135 clause 20.2) and decodes them again, driven by normalized
+ * definitions resolved through a registry. Values are represented as follows:
+ *
+ * - Null: `null`
+ * - Boolean: `true` or `false`
+ * - Unsigned, Integer: a number, or a BigInt for types whose limits exceed the
+ *   safe integer range (e.g. Unsigned64) and for values that do not fit a number
+ * - Real, Double: a number
+ * - Octet String: a Uint8Array
+ * - Character String: a string (encoded as UTF-8; UCS-2 and ISO 8859-1 are decoded as well)
+ * - Bit String: an array of bit names (or positions for unnamed bits) that are set,
+ *   or an array of booleans if the bit string has no named bits
+ * - Enumerated: a value name, or a number for values without a name
+ * - Date: `{ year, month, day, weekday }`, Time: `{ hour, minute, second, hundredths }`,
+ *   with `null` for unspecified (0xFF) parts
+ * - BACnetObjectIdentifier: `{ type, instance }` with a numeric object type
+ * - SEQUENCE: an object with a property per field (omitted for absent OPTIONAL fields)
+ * - CHOICE: an object with a single property for the chosen option
+ * - SEQUENCE OF: an array
+ * - ABSTRACT-SYNTAX.&Type: a Uint8Array holding the encoded (application tagged) data
+ *
+ * Fields and options with a context tag are encoded context tagged, where
+ * constructed types are enclosed in opening and closing tags. All other
+ * values are application tagged.
+ *
+ * Usage:
+ *   import { parse } from './index.js';
+ *   import { createRegistry } from './registry.js';
+ *   import { encode, decode } from './codec.js';
+ *   const registry = createRegistry(parse(content));
+ *   const bytes = encode('BACnetDateTime', value, registry);
+ *   const copy = decode('BACnetDateTime', bytes, registry);
+ */
+import { createRegistry } from './registry.js';
+
+/**
+ * Error thrown when a value cannot be encoded or data cannot be decoded.
+ */
+export class CodecError extends Error {
+
+    /**
+     * Creates a new CodecError.
+     *
+     * @param {string} message - The error message
+     * @param {string} path - Location of the problem within the value (e.g. 'list[2].value'),
+     *        empty for the value itself
+     */
+    constructor(message, path) {
+        super(path ? `${path}: ${message}` : message);
+        this.name = 'CodecError';
+        this.path = path;
+    }
+}
+
+/**
+ * Kinds that are encoded as a single tagged primitive value.
+ *
+ * @type {Set<string>}
+ */
+const primitiveKinds = new Set([
+    'null', 'boolean', 'unsigned', 'integer', 'real', 'double', 'octet-string',
+    'character-string', 'bit-string', 'enumerated', 'date', 'time', 'object-identifier'
+]);
+
+/**
+ * Registry for the predefined types, used if no registry is given.
+ *
+ * @type {Object|undefined}
+ */
+let defaultRegistry;
+
+/**
+ * Encodes a value of a normalized type into BACnet tagged data.
+ *
+ * @param {string|Object} type - Type name, normalized type object or normalized definition
+ * @param {*} value - The value to encode
+ * @param {Object} [registry] - Registry resolving the type references (predefined types only by default)
+ * @returns {Uint8Array} The encoded data
+ * @throws {CodecError} If the value does not match the type
+ */
+export function encode(type, value, registry) {
+    registry ??= defaultRegistry ??= createRegistry([]);
+    const bytes = [];
+    encodeValue(registry, expandRoot(registry, type), value, undefined, '', bytes);
+    return Uint8Array.from(bytes);
+}
+
+/**
+ * Decodes BACnet tagged data into a value of a normalized type.
+ *
+ * @param {string|Object} type - Type name, normalized type object or normalized definition
+ * @param {Uint8Array} bytes - The encoded data
+ * @param {Object} [registry] - Registry resolving the type references (predefined types only by default)
+ * @returns {*} The decoded value
+ * @throws {CodecError} If the data does not match the type or has trailing bytes
+ */
+export function decode(type, bytes, registry) {
+    registry ??= defaultRegistry ??= createRegistry([]);
+    const reader = { bytes, offset: 0 };
+    const value = decodeValue(registry, expandRoot(registry, type), undefined, '', reader);
+    if (reader.offset < bytes.length) {
+        throw new CodecError(`Unexpected data at offset ${reader.offset}`, '');
+    }
+    return value;
+}
+
+/**
+ * Expands the type passed to `encode()` or `decode()`.
+ */
+function expandRoot(registry, type) {
+    if (typeof type === 'object' && type.base === undefined) {
+        type = type.type ?? type.name;
+    }
+    return registry.expand(type);
+}
+
+// ============================================================================
+// ENCODING
+// ============================================================================
+
+/**
+ * Encodes a value, context tagged if a context tag number is given.
+ *
+ * @param {Object} registry - The registry
+ * @param {Object} descriptor - Expanded type
+ * @param {*} value - The value to encode
+ * @param {number|undefined} context - Context tag number
+ * @param {string} path - Location of the value, for error messages
+ * @param {Array<number>} bytes - Output bytes
+ */
+function encodeValue(registry, descriptor, value, context, path, bytes) {
+    if (primitiveKinds.has(descriptor.kind)) {
+        encodePrimitive(descriptor, value, context, path, bytes);
+        return;
+    }
+
+    if (context !== undefined) {
+        pushDelimiter(bytes, context, true);
+    }
+    switch (descriptor.kind) {
+        case 'sequence':
+            for (const field of descriptor.fields ?? []) {
+                if (value?.[field.name] === undefined) {
+                    if (!field.optional) {
+                        throw new CodecError(`Missing field '${field.name}'`, path);
+                    }
+                    continue;
+                }
+                encodeValue(registry, registry.expand(field.type), value[field.name], field.context,
+                    joinPath(path, field.name), bytes);
+            }
+            break;
+        case 'choice': {
+            const keys = Object.keys(value ?? {});
+            const option = descriptor.options?.find(option => option.name === keys[0]);
+            if (keys.length !== 1 || !option) {
+                const names = descriptor.options?.map(option => `'${option.name}'`).join(', ');
+                throw new CodecError(`Expected an object with one of ${names}`, path);
+            }
+            encodeValue(registry, registry.expand(option.type), value[option.name], option.context,
+                joinPath(path, option.name), bytes);
+            break;
+        }
+        case 'sequence-of':
+            if (!Array.isArray(value)) {
+                throw new CodecError('Expected an array', path);
+            }
+            value.forEach((element, index) =>
+                encodeValue(registry, descriptor.element, element, undefined, `${path}[${index}]`, bytes));
+            break;
+        case 'any':
+            if (!(value instanceof Uint8Array)) {
+                throw new CodecError('Expected a Uint8Array with encoded data', path);
+            }
+            pushBytes(bytes, value);
+            break;
+    }
+    if (context !== undefined) {
+        pushDelimiter(bytes, context, false);
+    }
+}
+
+/**
+ * Encodes a primitive value with its application tag or the given context tag.
+ */
+function encodePrimitive(descriptor, value, context, path, bytes) {
+    const isContext = context !== undefined;
+    const number = isContext ? context : descriptor.tag;
+
+    // Application tagged booleans carry their value in the tag
+    if (descriptor.kind === 'boolean' && !isContext) {
+        pushTag(bytes, number, false, toBoolean(value, path) ? 1 : 0);
+        return;
+    }
+
+    const content = encodeContent(descriptor, value, path);
+    pushTag(bytes, number, isContext, content.length);
+    pushBytes(bytes, content);
+}
+
+/**
+ * Encodes the content octets of a primitive value.
+ *
+ * @returns {Array<number>|Uint8Array} The content octets
+ */
+function encodeContent(descriptor, value, path) {
+    switch (descriptor.kind) {
+        case 'null':
+            if (value !== null) {
+                throw new CodecError('Expected null', path);
+            }
+            return [];
+        case 'boolean':
+            return [toBoolean(value, path) ? 1 : 0];
+        case 'unsigned': {
+            const integer = toBigInt(value, path);
+            if (integer < 0n) {
+                throw new CodecError(`Expected an unsigned integer but got ${value}`, path);
+            }
+            return unsignedBytes(integer);
+        }
+        case 'integer':
+            return signedBytes(toBigInt(value, path));
+        case 'real':
+        case 'double': {
+            if (typeof value !== 'number') {
+                throw new CodecError(`Expected a number but got ${describe(value)}`, path);
+            }
+            const size = descriptor.kind === 'real' ? 4 : 8;
+            const view = new DataView(new ArrayBuffer(size));
+            size === 4 ? view.setFloat32(0, value) : view.setFloat64(0, value);
+            return new Uint8Array(view.buffer);
+        }
+        case 'octet-string':
+            if (!(value instanceof Uint8Array)) {
+                throw new CodecError(`Expected a Uint8Array but got ${describe(value)}`, path);
+            }
+            return value;
+        case 'character-string':
+            if (typeof value !== 'string') {
+                throw new CodecError(`Expected a string but got ${describe(value)}`, path);
+            }
+            return [0, ...new TextEncoder().encode(value)];
+        case 'bit-string':
+            return encodeBits(descriptor, value, path);
+        case 'enumerated': {
+            if (typeof value === 'string') {
+                const item = descriptor.values?.find(item => item.name === value);
+                if (!item) {
+                    throw new CodecError(`Unknown value '${value}'`, path);
+                }
+                value = item.constant;
+            }
+            const integer = toBigInt(value, path);
+            if (integer < 0n) {
+                throw new CodecError(`Expected a value name or unsigned integer but got ${value}`, path);
+            }
+            return unsignedBytes(integer);
+        }
+        case 'date':
+            return encodeOctets(value, path, ['year', 'month', 'day', 'weekday'], { year: 1900 });
+        case 'time':
+            return encodeOctets(value, path, ['hour', 'minute', 'second', 'hundredths'], {});
+        case 'object-identifier': {
+            const { type, instance } = value ?? {};
+            if (!Number.isInteger(type) || type < 0 || type > 1023
+                || !Number.isInteger(instance) || instance < 0 || instance > 4194303) {
+                throw new CodecError('Expected { type, instance } with type 0..1023 and instance 0..4194303', path);
+            }
+            return pad(unsignedBytes((BigInt(type) << 22n) | BigInt(instance)), 4);
+        }
+    }
+}
+
+/**
+ * Encodes the bits of a bit string, preceded by the number of unused bits.
+ */
+function encodeBits(descriptor, value, path) {
+    if (!Array.isArray(value)) {
+        throw new CodecError(`Expected an array but got ${describe(value)}`, path);
+    }
+
+    let bits;
+    if (descriptor.bits?.length) {
+        // Named bits: all defined bits are encoded, set bits are listed by name or position
+        const positions = value.map(bit => {
+            if (Number.isInteger(bit) && bit >= 0) {
+                return bit;
+            }
+            const item = descriptor.bits.find(item => item.name === bit);
+            if (!item) {
+                throw new CodecError(`Unknown bit '${bit}'`, path);
+            }
+            return item.position;
+        });
+        const count = Math.max(...descriptor.bits.map(item => item.position), ...positions) + 1;
+        bits = Array.from({ length: count }, (_, index) => positions.includes(index));
+    } else {
+        bits = value.map(bit => toBoolean(bit, path));
+    }
+
+    const content = [(8 - bits.length % 8) % 8];
+    for (let index = 0; index < bits.length; index += 8) {
+        let octet = 0;
+        for (let bit = 0; bit < 8; bit++) {
+            if (bits[index + bit]) {
+                octet |= 0x80 >> bit;
+            }
+        }
+        content.push(octet);
+    }
+    return content;
+}
+
+/**
+ * Encodes the four octets of a date or time, using 0xFF for unspecified parts.
+ */
+function encodeOctets(value, path, parts, offsets) {
+    if (typeof value !== 'object' || value === null) {
+        throw new CodecError(`Expected { ${parts.join(', ')} } but got ${describe(value)}`, path);
+    }
+    return parts.map(part => {
+        const number = value[part];
+        if (number === null || number === undefined) {
+            return 0xFF;
+        }
+        const octet = number - (offsets[part] ?? 0);
+        if (!Number.isInteger(octet) || octet < 0 || octet > 254) {
+            throw new CodecError(`Invalid ${part} ${number}`, path);
+        }
+        return octet;
+    });
+}
+
+/**
+ * Appends a tag (clause 20.2.1) for content of the given length.
+ *
+ * @param {Array<number>} bytes - Output bytes
+ * @param {number} number - Tag number
+ * @param {boolean} isContext - True for context specific tags
+ * @param {number} length - Content length, or the value of application tagged booleans
+ */
+function pushTag(bytes, number, isContext, length) {
+    const initial = (number < 15 ? number << 4 : 0xF0) | (isContext ? 0x08 : 0);
+    const extended = number < 15 ? [] : [number];
+    if (length < 5) {
+        bytes.push(initial | length, ...extended);
+    } else if (length < 254) {
+        bytes.push(initial | 5, ...extended, length);
+    } else if (length < 65536) {
+        bytes.push(initial | 5, ...extended, 254, length >> 8, length & 0xFF);
+    } else {
+        bytes.push(initial | 5, ...extended, 255, ...pad(unsignedBytes(BigInt(length)), 4));
+    }
+}
+
+/**
+ * Appends octets one by one, as spreading large payloads into `push()`
+ * exceeds the call stack.
+ *
+ * @param {Array<number>} bytes - Output bytes
+ * @param {Array<number>|Uint8Array} octets - Octets to append
+ */
+function pushBytes(bytes, octets) {
+    for (const octet of octets) {
+        bytes.push(octet);
+    }
+}
+
+/**
+ * Appends an opening or closing tag (clause 20.2.1.3.2).
+ *
+ * @param {Array<number>} bytes - Output bytes
+ * @param {number} number - Context tag number
+ * @param {boolean} isOpening - True for the opening tag, false for the closing tag
+ */
+function pushDelimiter(bytes, number, isOpening) {
+    const type = isOpening ? 0x0E : 0x0F;
+    bytes.push(...(number < 15 ? [(number << 4) | type] : [0xF0 | type, number]));
+}
+
+// ============================================================================
+// DECODING
+// ============================================================================
+
+/**
+ * Decodes a value, context tagged if a context tag number is given.
+ *
+ * @param {Object} registry - The registry
+ * @param {Object} descriptor - Expanded type
+ * @param {number|undefined} context - Context tag number
+ * @param {string} path - Location of the value, for error messages
+ * @param {{bytes: Uint8Array, offset: number}} reader - Input bytes and current position
+ * @returns {*} The decoded value
+ */
+function decodeValue(registry, descriptor, context, path, reader) {
+    if (primitiveKinds.has(descriptor.kind)) {
+        return decodePrimitive(descriptor, context, path, reader);
+    }
+
+    if (context !== undefined) {
+        expectTag(reader, path, tag => tag.isContext && tag.isOpening && tag.number === context,
+            `opening tag [${context}]`);
+    }
+
+    let value;
+    switch (descriptor.kind) {
+        case 'sequence':
+            value = {};
+            for (const field of descriptor.fields ?? []) {
+                const fieldPath = joinPath(path, field.name);
+                const fieldType = registry.expand(field.type);
+                if (field.optional) {
+                    const result = attempt(reader, () => decodeValue(registry, fieldType, field.context, fieldPath, reader));
+                    if (result !== undefined) {
+                        value[field.name] = result.value;
+                    }
+                } else {
+                    value[field.name] = decodeValue(registry, fieldType, field.context, fieldPath, reader);
+                }
+            }
+            break;
+        case 'choice': {
+            for (const option of descriptor.options ?? []) {
+                const optionType = registry.expand(option.type);
+                const result = attempt(reader,
+                    () => decodeValue(registry, optionType, option.context, joinPath(path, option.name), reader));
+                if (result !== undefined) {
+                    value = { [option.name]: result.value };
+                    break;
+                }
+            }
+            if (value === undefined) {
+                throw new CodecError(`No option matches the data at offset ${reader.offset}`, path);
+            }
+            break;
+        }
+        case 'sequence-of':
+            value = [];
+            while (reader.offset < reader.bytes.length && !peekTag(reader).isClosing) {
+                value.push(decodeValue(registry, descriptor.element, undefined, `${path}[${value.length}]`, reader));
+            }
+            break;
+        case 'any': {
+            const start = reader.offset;
+            skipUntilClosing(reader, path);
+            value = Uint8Array.from(reader.bytes.subarray(start, reader.offset));
+            break;
+        }
+    }
+
+    if (context !== undefined) {
+        expectTag(reader, path, tag => tag.isContext && tag.isClosing && tag.number === context,
+            `closing tag [${context}]`);
+    }
+    return value;
+}
+
+/**
+ * Decodes a primitive value with its application tag or the given context tag.
+ */
+function decodePrimitive(descriptor, context, path, reader) {
+    const isContext = context !== undefined;
+    const expected = isContext ? `context tag [${context}]` : `application tag ${descriptor.tag} (${descriptor.kind})`;
+    const tag = expectTag(reader, path,
+        tag => !tag.isOpening && !tag.isClosing && tag.isContext === isContext
+            && tag.number === (isContext ? context : descriptor.tag),
+        expected);
+
+    // Application tagged booleans carry their value in the tag
+    if (descriptor.kind === 'boolean' && !isContext) {
+        return tag.length === 1;
+    }
+
+    if (reader.offset + tag.length > reader.bytes.length) {
+        throw new CodecError(`Content of ${tag.length} bytes exceeds the data`, path);
+    }
+    const content = reader.bytes.subarray(reader.offset, reader.offset + tag.length);
+    reader.offset += tag.length;
+    return decodeContent(descriptor, content, path);
+}
+
+/**
+ * Decodes the content octets of a primitive value.
+ */
+function decodeContent(descriptor, content, path) {
+    const expectLength = (...lengths) => {
+        if (!lengths.includes(content.length)) {
+            throw new CodecError(`Invalid length ${content.length} for ${descriptor.kind}`, path);
+        }
+    };
+
+    switch (descriptor.kind) {
+        case 'null':
+            expectLength(0);
+            return null;
+        case 'boolean':
+            expectLength(1);
+            return content[0] !== 0;
+        case 'unsigned':
+            expectLength(1, 2, 3, 4, 5, 6, 7, 8);
+            return toInteger(readUnsigned(content), descriptor);
+        case 'integer':
+            expectLength(1, 2, 3, 4, 5, 6, 7, 8);
+            return toInteger(BigInt.asIntN(content.length * 8, readUnsigned(content)), descriptor);
+        case 'real':
+        case 'double': {
+            expectLength(descriptor.kind === 'real' ? 4 : 8);
+            const view = new DataView(content.buffer, content.byteOffset, content.length);
+            return content.length === 4 ? view.getFloat32(0) : view.getFloat64(0);
+        }
+        case 'octet-string':
+            return Uint8Array.from(content);
+        case 'character-string':
+            return decodeString(content, path);
+        case 'bit-string':
+            return decodeBits(descriptor, content, path);
+        case 'enumerated': {
+            expectLength(1, 2, 3, 4, 5, 6, 7, 8);
+            const constant = toInteger(readUnsigned(content), descriptor);
+            return descriptor.values?.find(item => BigInt(item.constant) === BigInt(constant))?.name ?? constant;
+        }
+        case 'date': {
+            expectLength(4);
+            const [year, month, day, weekday] = [...content].map(octet => octet === 0xFF ? null : octet);
+            return { year: year === null ? null : year + 1900, month, day, weekday };
+        }
+        case 'time': {
+            expectLength(4);
+            const [hour, minute, second, hundredths] = [...content].map(octet => octet === 0xFF ? null : octet);
+            return { hour, minute, second, hundredths };
+        }
+        case 'object-identifier': {
+            expectLength(4);
+            const identifier = Number(readUnsigned(content));
+            return { type: identifier >>> 22, instance: identifier & 0x3FFFFF };
+        }
+    }
+}
+
+/**
+ * Decodes character string content by its character set (clause 20.2.9).
+ */
+function decodeString(content, path) {
+    const [charset, ...octets] = content;
+    switch (charset) {
+        case 0:
+            try {
+                return new TextDecoder('utf-8', { fatal: true }).decode(content.subarray(1));
+            } catch (error) {
+                // The decoder reports malformed data as TypeError
+                if (!(error instanceof TypeError)) {
+                    throw error;
+                }
+                throw new CodecError('Invalid UTF-8 character string', path);
+            }
+        case 4: {
+            let text = '';
+            for (let index = 0; index + 1 < octets.length; index += 2) {
+                text += String.fromCharCode((octets[index] << 8) | octets[index + 1]);
+            }
+            return text;
+        }
+        case 5:
+            return String.fromCharCode(...octets);
+        default:
+            throw new CodecError(`Unsupported character set ${charset}`, path);
+    }
+}
+
+/**
+ * Decodes bit string content into set bit names or an array of booleans.
+ */
+function decodeBits(descriptor, content, path) {
+    if (content.length === 0 || content[0] > 7 || (content.length === 1 && content[0] !== 0)) {
+        throw new CodecError('Invalid bit string content', path);
+    }
+    const count = (content.length - 1) * 8 - content[0];
+    const bits = Array.from({ length: count }, (_, index) => (content[1 + (index >> 3)] & (0x80 >> (index & 7))) !== 0);
+    if (!descriptor.bits?.length) {
+        return bits;
+    }
+    return bits.flatMap((isSet, position) => {
+        if (!isSet) {
+            return [];
+        }
+        return [descriptor.bits.find(item => item.position === position)?.name ?? position];
+    });
+}
+
+/**
+ * Reads the tag at the current position (clause 20.2.1).
+ *
+ * @param {{bytes: Uint8Array, offset: number}} reader - Input bytes and current position
+ * @returns {{number: number, isContext: boolean, isOpening: boolean, isClosing: boolean, length: number}}
+ *          The tag; `length` is the content length (or the value of application tagged booleans)
+ * @throws {CodecError} If the data ends within the tag
+ */
+function readTag(reader) {
+    const next = () => {
+        if (reader.offset >= reader.bytes.length) {
+            throw new CodecError('Unexpected end of data', '');
+        }
+        return reader.bytes[reader.offset++];
+    };
+
+    const initial = next();
+    const number = (initial >> 4) === 15 ? next() : initial >> 4;
+    const isContext = (initial & 0x08) !== 0;
+    let length = initial & 0x07;
+    const tag = { number, isContext, isOpening: isContext && length === 6, isClosing: isContext && length === 7, length };
+    if (tag.isOpening || tag.isClosing) {
+        tag.length = 0;
+    } else if (length === 5) {
+        length = next();
+        if (length === 254) {
+            length = (next() << 8) | next();
+        } else if (length === 255) {
+            length = Number(readUnsigned([next(), next(), next(), next()]));
+        }
+        tag.length = length;
+    }
+    return tag;
+}
+
+/**
+ * Reads the tag at the current position without consuming it.
+ */
+function peekTag(reader) {
+    const offset = reader.offset;
+    const tag = readTag(reader);
+    reader.offset = offset;
+    return tag;
+}
+
+/**
+ * Reads a tag and checks it against the expected tag.
+ *
+ * @returns {Object} The tag (see `readTag()`)
+ * @throws {CodecError} If the data ends or the tag does not match
+ */
+function expectTag(reader, path, matches, expected) {
+    if (reader.offset >= reader.bytes.length) {
+        throw new CodecError(`Expected ${expected} but reached the end of data`, path);
+    }
+    const offset = reader.offset;
+    const tag = readTag(reader);
+    if (!matches(tag)) {
+        throw new CodecError(`Expected ${expected} but found ${describeTag(tag)} at offset ${offset}`, path);
+    }
+    return tag;
+}
+
+/**
+ * Skips complete tagged values until the end of data or an unmatched closing tag.
+ */
+function skipUntilClosing(reader, path) {
+    let depth = 0;
+    while (reader.offset < reader.bytes.length) {
+        const tag = peekTag(reader);
+        if (tag.isClosing && depth === 0) {
+            return;
+        }
+        readTag(reader);
+        depth += tag.isOpening ? 1 : tag.isClosing ? -1 : 0;
+        // Application tagged booleans have no content
+        if (!(tag.number === 1 && !tag.isContext)) {
+            reader.offset += tag.length;
+        }
+    }
+    if (depth !== 0 || reader.offset > reader.bytes.length) {
+        throw new CodecError('Unexpected end of data within encoded value', path);
+    }
+}
+
+/**
+ * Runs a decoding step that may not match, restoring the position if it fails.
+ *
+ * @returns {{value: *}|undefined} The decoded value, undefined if the step failed
+ */
+function attempt(reader, step) {
+    const offset = reader.offset;
+    if (offset >= reader.bytes.length || peekTag(reader).isClosing) {
+        return undefined;
+    }
+    try {
+        return { value: step() };
+    } catch (error) {
+        if (!(error instanceof CodecError)) {
+            throw error;
+        }
+        reader.offset = offset;
+        return undefined;
+    }
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Returns the minimal big-endian octets of a non-negative integer.
+ */
+function unsignedBytes(value) {
+    const bytes = [];
+    do {
+        bytes.unshift(Number(value & 0xFFn));
+        value >>= 8n;
+    } while (value > 0n);
+    return bytes;
+}
+
+/**
+ * Returns the minimal big-endian two's complement octets of an integer.
+ */
+function signedBytes(value) {
+    let size = 1;
+    while (value < -(1n << BigInt(size * 8 - 1)) || value >= 1n << BigInt(size * 8 - 1)) {
+        size++;
+    }
+    return pad(unsignedBytes(BigInt.asUintN(size * 8, value)), size);
+}
+
+/**
+ * Left-pads octets with zeros to the given size.
+ */
+function pad(bytes, size) {
+    return [...new Array(Math.max(0, size - bytes.length)).fill(0), ...bytes];
+}
+
+/**
+ * Reads big-endian octets as a non-negative BigInt.
+ */
+function readUnsigned(octets) {
+    let value = 0n;
+    for (const octet of octets) {
+        value = (value << 8n) | BigInt(octet);
+    }
+    return value;
+}
+
+/**
+ * Converts a decoded integer into a number, or keeps it as BigInt if the
+ * type's limits or the value itself exceed the safe integer range.
+ */
+function toInteger(value, descriptor) {
+    const isWide = [descriptor.minimum, descriptor.maximum]
+        .some(limit => limit !== undefined && (limit > BigInt(Number.MAX_SAFE_INTEGER) || limit < BigInt(Number.MIN_SAFE_INTEGER)));
+    const isSafe = value <= BigInt(Number.MAX_SAFE_INTEGER) && value >= BigInt(Number.MIN_SAFE_INTEGER);
+    return isWide || !isSafe ? value : Number(value);
+}
+
+/**
+ * Converts an integer value to encode into a BigInt.
+ */
+function toBigInt(value, path) {
+    if (typeof value === 'bigint') {
+        return value;
+    }
+    if (!Number.isInteger(value)) {
+        throw new CodecError(`Expected an integer but got ${describe(value)}`, path);
+    }
+    return BigInt(value);
+}
+
+/**
+ * Checks a boolean value to encode.
+ */
+function toBoolean(value, path) {
+    if (typeof value !== 'boolean') {
+        throw new CodecError(`Expected a boolean but got ${describe(value)}`, path);
+    }
+    return value;
+}
+
+/**
+ * Appends a field or option name to a value path.
+ */
+function joinPath(path, name) {
+    return path ? `${path}.${name}` : name;
+}
+
+/**
+ * Describes a value for error messages.
+ */
+function describe(value) {
+    if (value === null || value === undefined) {
+        return String(value);
+    }
+    if (Array.isArray(value)) {
+        return 'an array';
+    }
+    return typeof value === 'object' ? `a ${value.constructor?.name ?? 'object'}` : `${typeof value} ${String(value)}`;
+}
+
+/**
+ * Describes a tag for error messages.
+ */
+function describeTag(tag) {
+    if (tag.isOpening || tag.isClosing) {
+        return `${tag.isOpening ? 'opening' : 'closing'} tag [${tag.number}]`;
+    }
+    return tag.isContext ? `context tag [${tag.number}]` : `application tag ${tag.number}`;
+}
@@ -0,0 +1,258 @@
+// SPDX-FileCopyrightText: Copyright 2024-2026, The BAClib Initiative and Contributors
+// SPDX-License-Identifier: EPL-2.0
+
+/**
+ * @fileoverview Converts normalized BAClib definitions back to the parsed ASN.1 model.
+ *
+ * `denormalize()` is the inverse of `normalize()`: for every normalized
+ * definition `n` it returns a parsed definition `p` with `normalize(p)`
+ * deep-equal to `n`, and for parsed content `denormalize(normalize(p))` gives
+ * back `p`:
+ *
+ * - Names are restored from `alias` (item names without one are unchanged)
+ * - `constant`, `position` and `context` become `number`
+ * - `minimum`/`maximum` become `range`, `length` becomes `size` and `series`
+ *   limits become `{ min, max }`, with 64-bit limits as BigInts and MIN/MAX as
+ *   infinities like the parser returns them
+ * - Type references are restored from the aliases of the definitions being
+ *   denormalized and of the predefined types
+ * - Traits that the rules derive (the ranges of enumerations, the length of bit
+ *   strings and proprietary ranges) are left out, and `proprietary` marks the
+ *   type as `extensible`
+ *
+ * What `normalize()` does not keep cannot be restored: the spelling of
+ * equivalent names (`REAL` and `Real` both become `real`, which is restored as
+ * `Real`), the order of the values and bits (which are sorted) and the
+ * APPLICATION tags of parsed definitions. Anything else that cannot be
+ * restored exactly is an error: every result is normalized again and compared
+ * with the given definition.
+ *
+ * `stringify()` writes normalized definitions through `denormalize()` with
+ * `exact: false`, which gives names without alias a PascalCase name derived
+ * from the BAClib name and skips the comparison.
+ *
+ * Usage:
+ *   import { denormalize } from './denormalize.js';
+ *   import { stringify } from './stringify.js';
+ *   const definitions = denormalize(JSON.parse(fs.readFileSync('library.json', 'utf8')));
+ *   const asn1 = stringify(definitions);
+ */
+import { normalize, predefinedTypes } from './index.js';
+
+/**
+ * Parser type names of BAClib names whose predefined alias is not the name
+ * the parser gives the construction.
+ *
+ * @type {Object<string, string>}
+ */
+const constructionNames = {
+    'any': 'Any'
+};
+
+/**
+ * Parser types whose `minimum` and `maximum` come from a range constraint.
+ *
+ * @type {Set<string>}
+ */
+const rangedTypes = new Set(['Unsigned', 'Integer', 'Real', 'Double']);
+
+/**
+ * Parser types whose `length` comes from a SIZE constraint.
+ *
+ * @type {Set<string>}
+ */
+const sizedTypes = new Set(['OctetString', 'CharacterString']);
+
+/**
+ * Converts normalized definitions back into parsed definitions.
+ *
+ * @param {Object|Array<Object>} definitions - Normalized definition(s) as returned by `normalize()`
+ * @param {Object} [options] - Options
+ * @param {Array<Object|Function>} [options.rules] - Rule set the definitions were normalized with
+ *        (see `normalize()`; the default rules if not given)
+ * @param {Map<string, Object>|Array<Object>} [options.predefined=predefinedTypes] - Predefined types
+ *        the definitions were normalized with, also used to restore type references
+ * @param {boolean} [options.exact=true] - Whether the definitions must be restored exactly;
+ *        if not set, names without original name are derived from the BAClib name (e.g.
+ *        'date-time' becomes 'DateTime') and the results are not compared
+ * @returns {Object|Array<Object>} The parsed definition(s), like `parse()` returns them
+ * @throws {Error} If a definition has no type (like the predefined primitives), or if it
+ *         cannot be restored exactly (unless `options.exact` is false): it has no original
+ *         name (like hoisted types), it refers to a type that is neither among the
+ *         definitions nor predefined, or normalizing the result gives a different definition
+ */
+export function denormalize(definitions, { rules, predefined = predefinedTypes, exact = true } = {}) {
+    const list = Array.isArray(definitions) ? definitions : [definitions];
+
+    // Original names by BAClib name: the given definitions before the predefined types
+    const names = new Map();
+    const predefinedList = predefined instanceof Map ? predefined.values() : predefined;
+    for (const definition of [...list, ...predefinedList]) {
+        if (definition.alias !== undefined && !names.has(definition.name)) {
+            names.set(definition.name, constructionNames[definition.name] ?? definition.alias);
+        }
+    }
+
+    const results = list.map(definition => {
+        if (definition.type === undefined) {
+            throw new Error(`Cannot denormalize '${definition.name}': it has no type (like the predefined primitives)`);
+        }
+        if (definition.alias === undefined && exact) {
+            throw new Error(`Cannot denormalize '${definition.name}': its original name is lost (no alias, e.g. a type hoisted by normalizeAll())`);
+        }
+        const context = { name: definition.name, names, exact };
+        const result = { name: definition.alias ?? toPascalCase(definition.name), ...denormalizeType(definition.type, context) };
+        if (definition.description) {
+            result.description = definition.description;
+        }
+        if (definition.comment) {
+            result.comment = definition.comment;
+        }
+
+        const path = exact ? difference(normalize(result, { rules, predefined }), definition, '') : undefined;
+        if (path !== undefined) {
+            throw new Error(`Cannot denormalize '${definition.name}' exactly: normalizing the result differs at '${path || '(root)'}'`);
+        }
+        return result;
+    });
+    return Array.isArray(definitions) ? results : results[0];
+}
+
+/**
+ * Converts a normalized type (a BAClib name or a type object) into parsed type properties.
+ *
+ * @param {string|Object} type - Normalized type
+ * @param {Object} context - The BAClib `name` of the definition (for error messages), the
+ *        original `names` by BAClib name and whether names must be `exact` (see `denormalize()`)
+ * @returns {Object} Parsed type properties (`series`, `type`, `range`, `size`, `items`, `extensible`)
+ * @throws {Error} If a referenced type has no known original name
+ */
+function denormalizeType(type, context) {
+    if (typeof type === 'string') {
+        return { type: originalName(type, context) };
+    }
+
+    const result = {};
+    if (typeof type.series === 'object') {
+        result.series = { min: limit(type.series.minimum, 0), max: limit(type.series.maximum, Infinity) };
+    } else if (type.series !== undefined) {
+        result.series = type.series;
+    }
+    result.type = originalName(type.base, context);
+
+    if (sizedTypes.has(result.type) && type.length !== undefined) {
+        const { minimum, maximum } = typeof type.length === 'object' ? type.length : { minimum: type.length, maximum: type.length };
+        result.size = { min: limit(minimum, 0), max: limit(maximum, Infinity) };
+    }
+    if (rangedTypes.has(result.type) && (type.minimum !== undefined || type.maximum !== undefined)) {
+        result.range = { min: limit(type.minimum, -Infinity), max: limit(type.maximum, Infinity) };
+    }
+
+    const items = type.values ?? type.bits ?? type.fields ?? type.options;
+    if (items) {
+        result.items = items.map(item => {
+            const element = { name: item.alias ?? item.name };
+            if (type.values || type.bits) {
+                element.number = item.constant ?? item.position;
+            } else {
+                if (item.context !== undefined) {
+                    element.number = item.context;
+                }
+                Object.assign(element, denormalizeType(item.type, context));
+                if (item.optional) {
+                    element.optional = true;
+                }
+            }
+            if (item.description) {
+                element.description = item.description;
+            }
+            if (item.comment) {
+                element.comment = item.comment;
+            }
+            return element;
+        });
+    }
+
+    // SEQUENCE has no extensibility marker
+    if (type.proprietary !== undefined && result.type !== 'SEQUENCE') {
+        result.extensible = true;
+    }
+    return result;
+}
+
+/**
+ * Restores the original ASN.1 name of a normalized type reference.
+ *
+ * @param {string} type - BAClib type name
+ * @param {Object} context - Definition name, original names and exactness (see `denormalizeType()`)
+ * @returns {string} Parser type name
+ * @throws {Error} If the type is neither among the definitions nor predefined (and names must be exact)
+ */
+function originalName(type, { name, names, exact }) {
+    if (!names.has(type)) {
+        if (!exact) {
+            return toPascalCase(type);
+        }
+        throw new Error(`Cannot denormalize '${name}': the original name of type '${type}' is unknown`
+            + ' (it is neither among the definitions nor predefined)');
+    }
+    return names.get(type);
+}
+
+/**
+ * Converts a normalized limit back into the parsed value.
+ *
+ * Integers given as strings (64-bit values) become BigInts and the other
+ * strings ('Infinity', '-Infinity' and 'NaN') become numbers. A missing limit
+ * (only in definitions that were not normalized from ASN.1) is unbounded.
+ *
+ * @param {number|string|undefined} value - Normalized limit
+ * @param {number} unbounded - Value to use if there is no limit
+ * @returns {number|bigint} The parsed limit
+ */
+function limit(value, unbounded) {
+    if (value === undefined) {
+        return unbounded;
+    }
+    if (typeof value !== 'string') {
+        return value;
+    }
+    return /^[+-]?\d+$/.test(value) ? BigInt(value) : Number(value);
+}
+
+/**
+ * Converts a kebab-case BAClib name into a PascalCase ASN.1 type name.
+ *
+ * @param {string} name - BAClib name (e.g. 'date-time')
+ * @returns {string} Type name (e.g. 'DateTime')
+ */
+function toPascalCase(name) {
+    return name.split('-').map(part => part.charAt(0).toUpperCase() + part.slice(1)).join('');
+}
+
+/**
+ * Finds the first difference between two normalized values.
+ *
+ * @param {*} actual - The value found
+ * @param {*} expected - The value expected
+ * @param {string} path - Path of the values (dot-separated, with array indexes)
+ * @returns {string|undefined} The path of the first difference, or undefined if the values are equal
+ */
+function difference(actual, expected, path) {
+    if (Object.is(actual, expected)) {
+        return undefined;
+    }
+    if (typeof actual !== 'object' || typeof expected !== 'object' || actual === null || expected === null
+        || Array.isArray(actual) !== Array.isArray(expected)) {
+        return path;
+    }
+    const keys = new Set([...Object.keys(actual), ...Object.keys(expected)]);
+    for (const key of keys) {
+        const keyPath = Array.isArray(expected) ? `${path}[${key}]` : path ? `${path}.${key}` : key;
+        const found = difference(actual[key], expected[key], keyPath);
+        if (found !== undefined) {
+            return found;
+        }
+    }
+    return undefined;
+}
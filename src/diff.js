@@ -0,0 +1,368 @@
+// SPDX-FileCopyrightText: Copyright 2024-2026, The BAClib Initiative and Contributors
+// SPDX-License-Identifier: EPL-2.0
+
+/**
+ * @fileoverview Structural diff between two versions of a set of BACnet definitions.
+ *
+ * Compares the normalized definitions of two versions of a specification
+ * (e.g. before and after an addendum) and lists every change that matters
+ * for the encoding, classed as 'compatible' or 'breaking' for encoders:
+ *
+ * - `TYPE_ADDED` (compatible), `TYPE_REMOVED` (breaking), `TYPE_RENAMED` (compatible):
+ *   a removed and an added type with the same structure count as a rename
+ * - `TYPE_CHANGED` (breaking): A definition, field or option refers to a different type
+ * - `VALUE_ADDED`/`BIT_ADDED` (compatible), `VALUE_REMOVED`/`BIT_REMOVED` (breaking)
+ * - `VALUE_RENAMED`/`BIT_RENAMED` (compatible): Same number, different name
+ * - `VALUE_CHANGED`/`BIT_CHANGED` (breaking): Same name, different number
+ * - `FIELD_ADDED` (compatible if optional), `FIELD_REMOVED` (breaking)
+ * - `FIELD_ORDER_CHANGED` (breaking): SEQUENCE fields kept in both versions are in a different order
+ * - `OPTION_ADDED` (compatible), `OPTION_REMOVED` (breaking)
+ * - `TAG_CHANGED` (breaking): The context tag of a field or option changed
+ * - `OPTIONALITY_CHANGED`: A field became optional (compatible) or required (breaking)
+ * - `CONSTRAINT_LOOSENED` (compatible), `CONSTRAINT_TIGHTENED` (breaking): A `minimum`,
+ *   `maximum`, `length` or `series` limit allows more or fewer values
+ * - `EXTENSIBILITY_CHANGED`: A type became extensible (compatible) or not (breaking)
+ * - `PROPRIETARY_RANGE_CHANGED`: The proprietary range of an extensible type changed,
+ *   compatible if it still covers the old range
+ *
+ * Comments and aliases are ignored. Parsed definitions are normalized first,
+ * so both forms can be compared.
+ *
+ * Usage:
+ *   import { parse } from './index.js';
+ *   import { diff } from './diff.js';
+ *   const changes = diff(parse(oldContent), parse(newContent));
+ *   changes.filter(change => change.compatibility === 'breaking').forEach(change => console.log(change.message));
+ */
+import { isDeepStrictEqual } from 'node:util';
+import { normalize } from './index.js';
+
+/**
+ * Compares two versions of a set of definitions.
+ *
+ * @param {Array<Object>} before - Parsed or normalized definitions of the old version
+ * @param {Array<Object>} after - Parsed or normalized definitions of the new version
+ * @returns {Array<Object>} The changes, each as `{ code, compatibility, message, name, path? }`
+ *          with the BAClib name of the (old) definition and the dot-separated path of the
+ *          changed field, option, value or bit within it; renames also have `to`
+ */
+export function diff(before, after) {
+    const oldTypes = new Map(before.map(definition => [toNormalized(definition).name, toNormalized(definition)]));
+    const newTypes = new Map(after.map(definition => [toNormalized(definition).name, toNormalized(definition)]));
+    const changes = [];
+
+    /**
+     * Records a change.
+     */
+    const report = (code, compatibility, message, name, path, extra) => {
+        changes.push({ code, compatibility, message, name, ...(path.length ? { path: path.join('.') } : {}), ...extra });
+    };
+
+    // Types removed in one and added in the other with equal structure are renames
+    const removed = [...oldTypes.keys()].filter(name => !newTypes.has(name));
+    const added = [...newTypes.keys()].filter(name => !oldTypes.has(name));
+    const renames = new Map();
+    for (const name of removed) {
+        const target = added.find(candidate => !renames.has(candidate)
+            && isDeepStrictEqual(structure(oldTypes.get(name).type), structure(newTypes.get(candidate).type)));
+        if (target) {
+            renames.set(name, target);
+            renames.set(target, name);
+        }
+    }
+
+    /**
+     * Compares a type reference or type object of the old version with the new one.
+     */
+    const compareType = (name, path, oldType, newType) => {
+        // A constrained type is compared with the plain reference to its base
+        if (typeof oldType === 'string' && typeof newType === 'object') {
+            oldType = { base: oldType };
+        } else if (typeof oldType === 'object' && typeof newType === 'string') {
+            newType = { base: newType };
+        }
+        if (typeof oldType === 'string') {
+            const renamed = renames.get(oldType) === newType;
+            if (oldType !== newType && !renamed) {
+                report('TYPE_CHANGED', 'breaking',
+                    `Type of '${describe(name, path)}' changed from '${typeName(oldType)}' to '${typeName(newType)}'`, name, path);
+            }
+            return;
+        }
+        if (oldType.base !== newType.base && renames.get(oldType.base) !== newType.base) {
+            report('TYPE_CHANGED', 'breaking',
+                `Type of '${describe(name, path)}' changed from '${oldType.base}' to '${newType.base}'`, name, path);
+            return;
+        }
+
+        compareLimits(name, path, 'range', oldType.minimum, oldType.maximum, newType.minimum, newType.maximum);
+        for (const key of ['length', 'series']) {
+            const [oldMinimum, oldMaximum] = bounds(oldType[key]);
+            const [newMinimum, newMaximum] = bounds(newType[key]);
+            compareLimits(name, path, key, oldMinimum, oldMaximum, newMinimum, newMaximum);
+        }
+        compareProprietary(name, path, oldType.proprietary, newType.proprietary);
+
+        compareNumbered(name, path, 'values', 'constant', oldType.values, newType.values);
+        compareNumbered(name, path, 'bits', 'position', oldType.bits, newType.bits);
+        compareMembers(name, path, 'fields', oldType.fields, newType.fields);
+        compareMembers(name, path, 'options', oldType.options, newType.options);
+    };
+
+    /**
+     * Compares the lower and upper limit of a constraint ('range', 'length' or 'series');
+     * an undefined limit is unbounded.
+     */
+    const compareLimits = (name, path, key, oldMinimum, oldMaximum, newMinimum, newMaximum) => {
+        const checks = [
+            ['minimum', oldMinimum, newMinimum, -1],
+            ['maximum', oldMaximum, newMaximum, 1]
+        ];
+        for (const [side, oldLimit, newLimit, direction] of checks) {
+            const order = compareLimit(oldLimit, newLimit, direction);
+            if (order === 0) {
+                continue;
+            }
+            const label = key === 'range' ? side : `${side} ${key === 'series' ? 'size' : key}`;
+            const loosened = order === direction;
+            report(loosened ? 'CONSTRAINT_LOOSENED' : 'CONSTRAINT_TIGHTENED', loosened ? 'compatible' : 'breaking',
+                `${capitalize(label)} of '${describe(name, path)}' ${loosened ? 'loosened' : 'tightened'} from ${formatLimit(oldLimit)} to ${formatLimit(newLimit)}`,
+                name, path);
+        }
+    };
+
+    /**
+     * Compares the extensibility of a type, marked by its `proprietary` range(s).
+     */
+    const compareProprietary = (name, path, oldProprietary, newProprietary) => {
+        if (!oldProprietary !== !newProprietary) {
+            report('EXTENSIBILITY_CHANGED', newProprietary ? 'compatible' : 'breaking',
+                `'${describe(name, path)}' ${newProprietary ? 'became extensible' : 'is no longer extensible'}`, name, path);
+            return;
+        }
+        const [oldRanges, newRanges] = [ranges(oldProprietary), ranges(newProprietary)];
+        if (isDeepStrictEqual(oldRanges, newRanges)) {
+            return;
+        }
+        const isCovered = oldRanges.every(range =>
+            newRanges.some(other => other.from <= range.from && range.to <= other.to));
+        report('PROPRIETARY_RANGE_CHANGED', isCovered ? 'compatible' : 'breaking',
+            `Proprietary range of '${describe(name, path)}' changed from ${formatRanges(oldRanges)} to ${formatRanges(newRanges)}`,
+            name, path);
+    };
+
+    /**
+     * Compares ENUMERATED values or BIT STRING bits by name and number.
+     */
+    const compareNumbered = (name, path, key, numberKey, oldItems = [], newItems = []) => {
+        const kind = key === 'values' ? 'VALUE' : 'BIT';
+        const noun = key === 'values' ? 'Value' : 'Bit';
+        for (const item of oldItems) {
+            const match = newItems.find(other => other.name === item.name);
+            const itemPath = [...path, item.name];
+            if (match) {
+                if (match[numberKey] !== item[numberKey]) {
+                    report(`${kind}_CHANGED`, 'breaking',
+                        `${noun} '${describe(name, itemPath)}' changed from ${item[numberKey]} to ${match[numberKey]}`, name, itemPath);
+                }
+                continue;
+            }
+            const renamed = newItems.find(other => other[numberKey] === item[numberKey]
+                && !oldItems.some(old => old.name === other.name));
+            if (renamed) {
+                report(`${kind}_RENAMED`, 'compatible',
+                    `${noun} '${describe(name, itemPath)}' (${item[numberKey]}) was renamed to '${renamed.name}'`, name, itemPath,
+                    { to: renamed.name });
+            } else {
+                report(`${kind}_REMOVED`, 'breaking',
+                    `${noun} '${describe(name, itemPath)}' (${item[numberKey]}) was removed`, name, itemPath);
+            }
+        }
+        for (const item of newItems) {
+            const isKnown = oldItems.some(old => old.name === item.name || old[numberKey] === item[numberKey]);
+            if (!isKnown) {
+                const itemPath = [...path, item.name];
+                report(`${kind}_ADDED`, 'compatible',
+                    `${noun} '${describe(name, itemPath)}' (${item[numberKey]}) was added`, name, itemPath);
+            }
+        }
+    };
+
+    /**
+     * Compares SEQUENCE fields or CHOICE options by name.
+     */
+    const compareMembers = (name, path, key, oldMembers = [], newMembers = []) => {
+        const kind = key === 'fields' ? 'FIELD' : 'OPTION';
+        const noun = key === 'fields' ? 'Field' : 'Option';
+        for (const member of oldMembers) {
+            const memberPath = [...path, member.name];
+            const match = newMembers.find(other => other.name === member.name);
+            if (!match) {
+                report(`${kind}_REMOVED`, 'breaking', `${noun} '${describe(name, memberPath)}' was removed`, name, memberPath);
+                continue;
+            }
+            if (match.context !== member.context) {
+                report('TAG_CHANGED', 'breaking',
+                    `Context tag of '${describe(name, memberPath)}' changed from ${formatTag(member.context)} to ${formatTag(match.context)}`,
+                    name, memberPath);
+            }
+            if (Boolean(match.optional) !== Boolean(member.optional)) {
+                report('OPTIONALITY_CHANGED', match.optional ? 'compatible' : 'breaking',
+                    `Field '${describe(name, memberPath)}' became ${match.optional ? 'optional' : 'required'}`, name, memberPath);
+            }
+            compareType(name, memberPath, member.type, match.type);
+        }
+        for (const member of newMembers) {
+            if (!oldMembers.some(old => old.name === member.name)) {
+                const memberPath = [...path, member.name];
+                const isCompatible = key === 'options' || member.optional;
+                report(`${kind}_ADDED`, isCompatible ? 'compatible' : 'breaking',
+                    `${key === 'fields' && !member.optional ? 'Required field' : noun} '${describe(name, memberPath)}' was added`,
+                    name, memberPath);
+            }
+        }
+
+        // Fields are encoded in order, options are told apart by their tags
+        if (key === 'fields') {
+            const oldOrder = oldMembers.map(member => member.name).filter(field => newMembers.some(other => other.name === field));
+            const newOrder = newMembers.map(member => member.name).filter(field => oldOrder.includes(field));
+            if (!isDeepStrictEqual(oldOrder, newOrder)) {
+                report('FIELD_ORDER_CHANGED', 'breaking',
+                    `Fields of '${describe(name, path)}' were reordered from ${oldOrder.join(', ')} to ${newOrder.join(', ')}`,
+                    name, path);
+            }
+        }
+    };
+
+    for (const [name, definition] of oldTypes) {
+        if (newTypes.has(name)) {
+            compareType(name, [], definition.type, newTypes.get(name).type);
+        } else if (renames.has(name)) {
+            report('TYPE_RENAMED', 'compatible', `Type '${name}' was renamed to '${renames.get(name)}'`, name, [],
+                { to: renames.get(name) });
+        } else {
+            report('TYPE_REMOVED', 'breaking', `Type '${name}' was removed`, name, []);
+        }
+    }
+    for (const name of added) {
+        if (!renames.has(name)) {
+            report('TYPE_ADDED', 'compatible', `Type '${name}' was added`, name, []);
+        }
+    }
+    return changes;
+}
+
+/**
+ * Returns the normalized form of a parsed or normalized definition.
+ * Parsed definitions have ASN.1 type names, which start with an uppercase letter.
+ *
+ * @param {Object} definition - Parsed or normalized definition
+ * @returns {Object} Normalized definition
+ */
+function toNormalized(definition) {
+    return /^[A-Z]/.test(definition.name) ? normalize(definition) : definition;
+}
+
+/**
+ * Strips comments and aliases from a normalized type, leaving what matters for the encoding.
+ *
+ * @param {string|Object} type - Normalized type
+ * @returns {string|Object} The type without `description`, `comment` and `alias` properties
+ */
+function structure(type) {
+    if (typeof type !== 'object' || type === null) {
+        return type;
+    }
+    if (Array.isArray(type)) {
+        return type.map(structure);
+    }
+    return Object.fromEntries(Object.entries(type)
+        .filter(([key]) => !['description', 'comment', 'alias'].includes(key))
+        .map(([key, value]) => [key, structure(value)]));
+}
+
+/**
+ * Converts a `length` or `series` into lower and upper limits (undefined if unbounded).
+ *
+ * @param {number|boolean|Object|undefined} value - Fixed size, `{ minimum, maximum }` or true/undefined
+ * @returns {Array} The limits as `[minimum, maximum]`
+ */
+function bounds(value) {
+    if (typeof value === 'object') {
+        return [value.minimum, value.maximum];
+    }
+    return typeof value === 'number' || typeof value === 'string' ? [value, value] : [undefined, undefined];
+}
+
+/**
+ * Orders two limits; `direction` is -1 for lower and 1 for upper limits, where
+ * an undefined (or infinite) limit is unbounded in that direction.
+ *
+ * @returns {number} -1 if the new limit is smaller, 1 if it is larger, 0 if equal
+ */
+function compareLimit(oldLimit, newLimit, direction) {
+    const toValue = limit => {
+        if (limit === undefined) {
+            return direction * Infinity;
+        }
+        // Normalized 64-bit limits are strings of digits
+        return typeof limit === 'string' && /^[+-]?\d+$/.test(limit) ? BigInt(limit) : Number(limit);
+    };
+    const [a, b] = [toValue(oldLimit), toValue(newLimit)];
+    if (a === b || (Number.isNaN(a) && Number.isNaN(b))) {
+        return 0;
+    }
+    return b < a ? -1 : 1;
+}
+
+/**
+ * Lists the proprietary ranges of a type, leaving out the empty range of an unknown one.
+ *
+ * @param {Object|Array<Object>|undefined} proprietary - Range `{ from, to }` or ranges
+ * @returns {Array<Object>} The non-empty ranges
+ */
+function ranges(proprietary) {
+    return [proprietary ?? []].flat().filter(range => range.from <= range.to);
+}
+
+/**
+ * Formats proprietary ranges for messages.
+ */
+function formatRanges(list) {
+    return list.length ? list.map(range => `${range.from}..${range.to}`).join(', ') : 'unknown';
+}
+
+/**
+ * Formats a limit for messages.
+ */
+function formatLimit(limit) {
+    return limit === undefined ? 'unbounded' : String(limit);
+}
+
+/**
+ * Formats a context tag for messages.
+ */
+function formatTag(context) {
+    return context === undefined ? 'none' : `[${context}]`;
+}
+
+/**
+ * Formats a type reference for messages.
+ */
+function typeName(type) {
+    return typeof type === 'string' ? type : type.base;
+}
+
+/**
+ * Joins a definition name and the path within it.
+ */
+function describe(name, path) {
+    return [name, ...path].join('.');
+}
+
+/**
+ * Capitalizes the first letter of a text.
+ */
+function capitalize(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
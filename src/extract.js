@@ -0,0 +1,165 @@
+// SPDX-FileCopyrightText: Copyright 2024-2026, The BAClib Initiative and Contributors
+// SPDX-License-Identifier: EPL-2.0
+
+/**
+ * @fileoverview Extracts ASN.1 productions from text copied out of the BACnet standard.
+ *
+ * Text taken from the ASHRAE 135 PDF (e.g. clause 21) mixes the productions
+ * with prose, running page headers, page numbers and form feeds, and page
+ * breaks may split a production. `extract()` keeps the productions (and the
+ * comments that follow them) and blanks out everything else:
+ *
+ * - Noise: page headers ("ANSI/ASHRAE Standard 135-2024"), running clause titles,
+ *   page numbers and form feeds, wherever they occur. Removing noise inside a
+ *   production rejoins the parts separated by the page break.
+ * - Prose: all other text outside productions.
+ *
+ * Ignored lines are replaced by empty lines, so line numbers in parse errors
+ * and source locations still refer to the original text. The ignored text is
+ * reported as ranges so that it can be reviewed for lost productions.
+ *
+ * Usage:
+ *   import { parse } from './index.js';
+ *   import { extract } from './extract.js';
+ *   const { content, ignored } = extract(fs.readFileSync('clause21.txt', 'utf8'));
+ *   const definitions = parse(content);
+ */
+
+/**
+ * Patterns of noise lines inserted by the PDF layout.
+ *
+ * @type {Array<RegExp>}
+ */
+const noisePatterns = [
+    // Running page headers and footers
+    /^\s*(ANSI\/)?ASHRAE(\/ISO)?\s+Standard\s+135(-\d{4})?\b/i,
+    /^\s*©.*ASHRAE/i,
+    // Page numbers
+    /^\s*(Page\s+)?\d{1,4}\s*$/i,
+    // Running clause titles (e.g. "21. FORMAL DESCRIPTION OF APPLICATION PROTOCOL DATA UNITS")
+    /^\s*\d+(\.\d+)*\.?\s+[A-Z][A-Z ,/()-]+$/
+];
+
+/**
+ * Start of a production, e.g. "BACnetDateRange ::=".
+ *
+ * @type {RegExp}
+ */
+const productionStart = /^\s*[A-Za-z][0-9A-Za-z-]*\s*::=/;
+
+/**
+ * Extracts the ASN.1 productions from text with interspersed prose and page layout noise.
+ *
+ * @param {string} text - Text copied from the standard
+ * @param {Object} [options] - Extraction options
+ * @param {Array<RegExp>} [options.noise] - Additional patterns of noise lines
+ * @returns {{content: string, ignored: Array<Object>}} The content for `parse()`, with the
+ *          same number of lines as the text, and the ignored ranges, each as
+ *          `{ start, end, reason, text }` with 1-based line numbers and reason 'noise' or 'prose'
+ */
+export function extract(text, { noise = [] } = {}) {
+    const patterns = [...noisePatterns, ...noise];
+    const lines = text.split(/\r?\n/).map(line => line.replaceAll('\f', ''));
+    const reasons = lines.map(() => null);
+
+    let depth = 0;             // Nesting depth of braces and parentheses
+    let inProduction = false;  // Within a production
+    let afterProduction = false; // Comment lines directly following a production belong to it
+
+    lines.forEach((line, index) => {
+        if (line.trim() === '') {
+            return;
+        }
+        if (patterns.some(pattern => pattern.test(line))) {
+            reasons[index] = 'noise';
+            return;
+        }
+
+        if (!inProduction && productionStart.test(line)) {
+            inProduction = true;
+            depth = 0;
+        }
+        if (!inProduction) {
+            if (afterProduction && /^\s*--/.test(line)) {
+                return;
+            }
+            afterProduction = false;
+            reasons[index] = 'prose';
+            return;
+        }
+
+        const code = line.replace(/--.*$/, '');
+        for (const character of code) {
+            if (character === '{' || character === '(') {
+                depth++;
+            } else if (character === '}' || character === ')') {
+                depth--;
+            }
+        }
+
+        // A production ends with its last closing bracket, or on its first line
+        // unless the type continues on the next line (e.g. "SEQUENCE" before "{")
+        if (depth <= 0 && !continuesOnNextLine(code, lines, index, patterns)) {
+            inProduction = false;
+            afterProduction = true;
+        }
+    });
+
+    return {
+        content: lines.map((line, index) => reasons[index] ? '' : line).join('\n'),
+        ignored: ignoredRanges(lines, reasons)
+    };
+}
+
+/**
+ * Checks whether a production continues after a line where all brackets are closed.
+ *
+ * @param {string} code - The line without comment
+ * @param {Array<string>} lines - All lines
+ * @param {number} index - Index of the line
+ * @param {Array<RegExp>} patterns - Noise patterns
+ * @returns {boolean} True if the production continues
+ */
+function continuesOnNextLine(code, lines, index, patterns) {
+    if (/(::=|\bOF|,|\[APPLICATION\s+\d+\])\s*$/.test(code)) {
+        return true;
+    }
+    // The next significant line opens the items of the type (e.g. "SEQUENCE" / "{")
+    for (let next = index + 1; next < lines.length; next++) {
+        const line = lines[next];
+        if (line.trim() !== '' && !patterns.some(pattern => pattern.test(line))) {
+            return /^\s*[{(]/.test(line);
+        }
+    }
+    return false;
+}
+
+/**
+ * Groups ignored lines into ranges of the same reason; blank lines between
+ * ignored lines of the same reason do not split a range.
+ *
+ * @param {Array<string>} lines - All lines
+ * @param {Array<string|null>} reasons - Reason per line, null for kept or blank lines
+ * @returns {Array<Object>} The ranges as `{ start, end, reason, text }`
+ */
+function ignoredRanges(lines, reasons) {
+    const ranges = [];
+    let current = null;
+    lines.forEach((line, index) => {
+        const reason = reasons[index];
+        if (reason === null) {
+            // Blank lines only continue a range, kept lines end it
+            if (line.trim() !== '') {
+                current = null;
+            }
+            return;
+        }
+        if (current?.reason !== reason) {
+            current = { start: index + 1, end: index + 1, reason, lines: [] };
+            ranges.push(current);
+        }
+        current.lines.push(...lines.slice(current.end, index), line);
+        current.end = index + 1;
+    });
+    return ranges.map(({ lines, ...range }) => ({ ...range, text: lines.join('\n') }));
+}
@@ -17,6 +17,9 @@
  * 
  * Usage as a script:
  *   node src/generate-predefined.js
+ *
+ * The JSON files are also written as one module, `src/predefined.js`, which the
+ * parser imports so that it works without file system access.
  * 
  * The script outputs JSON files to the predefined directory relative to this script's location,
  * ensuring correct paths regardless of the current working directory.
@@ -134,6 +137,35 @@ export function generatePredefined() {
     });
 }
 
+/**
+ * Formats the predefined definitions as a JavaScript module.
+ *
+ * The module exports the definitions as `predefinedDefinitions`, so that the
+ * parser can load them without file system access (e.g. in a browser bundle).
+ *
+ * @param {Array<Object>} definitions - The generated definitions
+ * @returns {string} The module source text
+ */
+export function formatPredefinedModule(definitions) {
+    return `// SPDX-FileCopyrightText: Copyright 2024-2026, The BAClib Initiative and Contributors
+// SPDX-License-Identifier: EPL-2.0
+
+/**
+ * @fileoverview Predefined BACnet/BAClib type definitions.
+ *
+ * Generated by \`npm run regenerate\` (src/generate-predefined.js) together with
+ * the JSON files in \`../predefined/\`. Do not edit.
+ */
+
+/**
+ * The predefined type definitions in the order of predefined-abstract.json.
+ *
+ * @type {Array<Object>}
+ */
+export const predefinedDefinitions = ${JSON.stringify(definitions, null, 4)};
+`;
+}
+
 /**
  * Main Execution Block
  * 
@@ -145,6 +177,7 @@ export function generatePredefined() {
  * - Generates all predefined type definitions
  * - Outputs each type as formatted JSON to console
  * - Writes each type to a separate JSON file named after the type's name property
+ * - Writes all types to the `predefined.js` module loaded by the parser
  * - Uses URL resolution based on import.meta.url to ensure correct file paths
  *   regardless of the current working directory
  * 
@@ -152,6 +185,7 @@ export function generatePredefined() {
  * - Location: ../predefined/ (relative to this script)
  * - Naming: {type.name}.json (e.g., "unsigned-8.json", "week-n-day.json")
  * - Format: Pretty-printed JSON with 4-space indentation
+ * - Module: ./predefined.js (relative to this script)
  * 
  * Example Usage:
  *   node src/generate-predefined.js
@@ -161,6 +195,7 @@ export function generatePredefined() {
  *   predefined/integer-32.json
  *   predefined/week-n-day.json
  *   ...etc
+ *   src/predefined.js
  */
 if (import.meta.url === pathToFileURL(process.argv[1]).href) {
 
@@ -179,4 +214,7 @@ if (import.meta.url === pathToFileURL(process.argv[1]).href) {
         // Write to file in predefined directory (async operation)
         fs.writeFile(path(instance.name), JSON.stringify(instance, null, 4));
     });
+
+    // Write all types to the module imported by the parser
+    fs.writeFile(new URL('./predefined.js', import.meta.url), formatPredefinedModule(instances));
 }
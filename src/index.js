@@ -1,38 +1,48 @@
 // SPDX-FileCopyrightText: Copyright 2024-2026, The BAClib Initiative and Contributors
 // SPDX-License-Identifier: EPL-2.0
 
-import fs from 'node:fs/promises';
+import { predefinedDefinitions } from './predefined.js';
 import { toBaclibName } from './to-baclib-name.js';
 
 // ============================================================================
-// PREDEFINED TYPES LOADER
+// PREDEFINED TYPES
 // ============================================================================
 
 /**
- * Loads all predefined BACnet/BAClib type definitions from JSON files.
+ * Indexes predefined BACnet/BAClib type definitions by 'alias' and 'name'.
  *
- * Scans the '../predefined' directory and loads each JSON file containing
- * type definitions. Each type is indexed in a Map by both its 'alias' and
- * 'name' properties for efficient lookup during normalization.
+ * A Map is used as it is, so that callers can pass an index they built
+ * themselves (e.g. the `predefinedTypes` of another parser).
+ *
+ * @param {Map<string, Object>|Array<Object>} predefined - Map or array of predefined definitions
+ * @returns {Map<string, Object>} The definitions by original and BAClib name
+ */
+function indexPredefined(predefined) {
+    if (predefined instanceof Map) {
+        return predefined;
+    }
+    const types = new Map();
+    for (const type of predefined) {
+        types.set(type.alias, type);
+        types.set(type.name, type);
+    }
+    return types;
+}
+
+/**
+ * The predefined BACnet/BAClib type definitions, indexed by 'alias' and 'name'.
+ *
+ * The definitions are generated (see `generate-predefined.js`) into both the
+ * JSON files in '../predefined' and the `predefined.js` module imported here,
+ * so that the parser needs no file system access and can be bundled for the
+ * browser or a worker.
  *
  * This enables the parser to recognize and use predefined BACnet/BAClib types
  * without requiring them to be redefined in the ASN.1 content being parsed.
  *
- * @type {Map<string|number, Object>}
+ * @type {Map<string, Object>}
  */
-const predefinedPath = new URL('../predefined/', import.meta.url);
-const predefinedFiles = await fs.readdir(predefinedPath);
-const predefinedTypes = new Map();
-
-for (const file of predefinedFiles) {
-    if (file.endsWith('.json')) {
-        const filePath = new URL(file, predefinedPath);
-        const content = await fs.readFile(filePath, 'utf8');
-        const type = JSON.parse(content);
-        predefinedTypes.set(type.alias, type);
-        predefinedTypes.set(type.name, type);
-    }
-}
+const predefinedTypes = indexPredefined(predefinedDefinitions);
 
 // ============================================================================
 // PARSER ERROR CLASS
@@ -42,26 +52,456 @@ for (const file of predefinedFiles) {
  * Custom error class for BACnet ASN.1 parsing errors.
  *
  * Extends the built-in Error class to provide additional context when an error
- * occurs during BACnet ASN.1 parsing. Automatically calculates the line number
- * where the error occurred for better debugging and error reporting.
+ * occurs during BACnet ASN.1 parsing. Automatically calculates the line and column
+ * where the error occurred and formats a code frame that points at the offending
+ * token for better debugging and error reporting:
+ *
+ *     2 |     has-error (0),
+ *   > 3 |     is-faulty (1.5),
+ *       |               ^
+ *     4 |     overridden (2)
+ *
+ * Every error carries a stable, machine-readable `code` so that tools can branch
+ * on the kind of error without inspecting the message:
+ *
+ * - `INVALID_CHARACTER`: Content contains non-ASCII or control characters
+ * - `UNTERMINATED_COMMENT`: A /* block comment is not closed by *\/
+ * - `TYPE_NAME_EXPECTED`: A definition does not start with a valid type name
+ * - `ASSIGNMENT_EXPECTED`: The '::=' after a type name is missing
+ * - `TYPE_EXPECTED`: A type (keyword or type reference) is missing
+ * - `INVALID_TAG`: An APPLICATION or context tag is malformed
+ * - `INVALID_CONSTRAINT`: A range or SIZE constraint is malformed
+ * - `INVALID_RANGE`: The minimum of a range is greater than its maximum
+ * - `ITEMS_NOT_ALLOWED`: Items in braces follow a type that cannot have items
+ * - `ITEM_NAME_EXPECTED`: An item name is missing or malformed
+ * - `ITEM_NUMBER_EXPECTED`: An ENUMERATED or BIT STRING item lacks its (number)
+ * - `CLOSING_PARENTHESIS_EXPECTED`: A ')' is missing
+ * - `CLOSING_BRACE_EXPECTED`: A ',' or '}' is missing after an item
+ * - `INVALID_MODULE_HEADER`: A `Name DEFINITIONS ::= BEGIN` module header is malformed
+ * - `INVALID_SYMBOL_LIST`: An EXPORTS or IMPORTS list is malformed
+ * - `END_EXPECTED`: A module is not closed by 'END'
  *
  * @class ParserError
  * @extends {Error}
  * @param {string} message - The error message describing the parsing issue
  * @param {string} content - The BACnet ASN.1 content being parsed
  * @param {number} index - The character index in the content where the error occurred
+ * @param {Object} [details] - Machine-readable details of the error
+ * @param {string} [details.code='SYNTAX_ERROR'] - Stable error code (see above)
+ * @param {Array<string>} [details.expected=[]] - Human-readable descriptions of what was expected
+ * @param {string} [details.hint] - Suggestion how to fix the error (e.g. "did you mean 'OPTIONAL'?")
  *
  * @property {string} name - The name of the error class
- * @property {number} line - The line number in the BACnet ASN.1 content where the error occurred
+ * @property {string} code - Stable error code
+ * @property {Array<string>} expected - Human-readable descriptions of what was expected
+ * @property {string|undefined} hint - Suggestion how to fix the error, if any
+ * @property {number} line - The line number in the BACnet ASN.1 content where the error occurred (1-based)
+ * @property {number} column - The column in that line where the error occurred (1-based)
+ * @property {number} offset - The character index in the content where the error occurred (0-based)
+ * @property {string} frame - The source lines around the error with a caret below the error column
+ * @property {string} [file] - The file the content was read from, if known (set by `parseFiles()`)
  */
 class ParserError extends Error {
-    constructor(message, content, index) {
+    constructor(message, content, index, { code = 'SYNTAX_ERROR', expected = [], hint } = {}) {
         super(message);
         this.name = this.constructor.name;
+        this.code = code;
+        this.expected = expected;
+        this.hint = hint;
+
+        // Same line and column as the source locations of parsed definitions
+        const { line, column } = createLocator(content)(index);
+        this.line = line;
+        this.column = column;
+        this.offset = index;
+        this.frame = formatCodeFrame(content, this.line, this.column);
+    }
+}
+
+/**
+ * Formats the lines around a source position with a caret marking the column.
+ *
+ * Shows one line of context before and after the marked line, each prefixed
+ * with its line number. The marked line is flagged with '>'.
+ *
+ * @param {string} content - The BACnet ASN.1 content
+ * @param {number} line - The line to mark (1-based)
+ * @param {number} column - The column to mark (1-based)
+ * @returns {string} The formatted code frame
+ */
+function formatCodeFrame(content, line, column) {
+    const lines = content.split('\n');
+    const first = Math.max(1, line - 1);
+    const last = Math.min(lines.length, line + 1);
+    const width = String(last).length;
+
+    const frame = [];
+    for (let number = first; number <= last; number++) {
+        const marker = number === line ? '>' : ' ';
+        frame.push(`${marker} ${String(number).padStart(width)} | ${lines[number - 1]}`.trimEnd());
+        if (number === line) {
+            // Keep tabs so that the caret lines up with the marked column
+            const indent = lines[number - 1].slice(0, column - 1).replace(/[^\t]/g, ' ');
+            frame.push(`  ${' '.repeat(width)} | ${indent}^`);
+        }
+    }
+    return frame.join('\n');
+}
+
+/**
+ * Suggests a valid type name for a malformed one (e.g. 'baclib-address' -> 'BaclibAddress').
+ *
+ * @param {string} token - The token found where a type name was expected
+ * @returns {string|undefined} Hint for a lowercase type name
+ */
+function suggestTypeName(token) {
+    if (!/^[a-z]/.test(token)) {
+        return undefined;
+    }
+    const name = token.split('-').map(part => part.charAt(0).toUpperCase() + part.slice(1)).join('');
+    return `type names start with an uppercase letter, did you mean '${name}'?`;
+}
+
+/**
+ * Suggests a valid item name for a malformed one (e.g. 'Device' -> 'device').
+ *
+ * @param {string} token - The token found where an item name was expected
+ * @returns {string|undefined} Hint for an item name containing uppercase letters
+ */
+function suggestItemName(token) {
+    if (!/^[A-Za-z][0-9A-Za-z-]*$/.test(token) || !/[A-Z]/.test(token)) {
+        return undefined;
+    }
+    return `item names are lowercase, did you mean '${toBaclibName(token).replace(/-+/g, '-')}'?`;
+}
+
+/**
+ * Explains why a parenthesized value is not a valid item number (e.g. '(1.5)' or '(-1)').
+ *
+ * @param {string} token - The token found where an item number was expected
+ * @returns {string|undefined} Hint for a non-integer or negative item number
+ */
+function suggestItemNumber(token) {
+    return /^\(\s*[+-]?\d+(?:\.\d+)?\s*\)$/.test(token) ? 'item numbers are non-negative integers' : undefined;
+}
+
+/**
+ * ASN.1 keywords used in BACnet type definitions, for "did you mean" hints.
+ *
+ * @type {Array<string>}
+ */
+const keywords = [
+    'ABSTRACT-SYNTAX', 'APPLICATION', 'BIT', 'CHOICE', 'ENUMERATED', 'MAX', 'MIN',
+    'MINUS-INFINITY', 'NOT-A-NUMBER', 'OCTET', 'OF', 'OPTIONAL', 'PLUS-INFINITY',
+    'SEQUENCE', 'SIZE', 'STRING'
+];
+
+/**
+ * Suggests the keyword a misspelled word was most likely meant to be.
+ *
+ * Only words of at least four characters that are at most two edits away
+ * from a keyword (and not the keyword itself) produce a suggestion.
+ *
+ * @param {string} word - The word found in the content
+ * @returns {string|undefined} The suggested keyword
+ */
+function suggestKeyword(word) {
+    if (word.length < 4 || keywords.includes(word)) {
+        return undefined;
+    }
+    let suggestion;
+    let bestDistance = 3;
+    for (const keyword of keywords) {
+        const distance = editDistance(word.toUpperCase(), keyword);
+        if (distance < bestDistance) {
+            bestDistance = distance;
+            suggestion = keyword;
+        }
+    }
+    return suggestion;
+}
 
-        // Calculate line number by counting newlines up to error position
-        this.line = 1 + content.slice(0, index).split('\n').length - 1;
+/**
+ * Calculates the Levenshtein edit distance between two strings.
+ *
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Minimum number of single-character insertions, deletions and substitutions
+ */
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
     }
+    return previous[b.length];
+}
+
+// ============================================================================
+// SOURCE LOCATIONS
+// ============================================================================
+
+/**
+ * Creates a function that maps character offsets to source positions.
+ *
+ * Line start offsets are computed once, so each lookup is a binary search
+ * instead of a scan of the content up to the offset. Lines and columns are
+ * 1-based, offsets are 0-based (like the corresponding ParserError properties).
+ *
+ * @param {string} content - The (line ending normalized) BACnet ASN.1 content
+ * @returns {function(number): {line: number, column: number, offset: number}} Offset to position mapper
+ */
+function createLocator(content) {
+    const lineStarts = [0];
+    for (let index = content.indexOf('\n'); index >= 0; index = content.indexOf('\n', index + 1)) {
+        lineStarts.push(index + 1);
+    }
+    return offset => {
+        let low = 0;
+        let high = lineStarts.length - 1;
+        while (low < high) {
+            const middle = (low + high + 1) >> 1;
+            if (lineStarts[middle] <= offset) {
+                low = middle;
+            } else {
+                high = middle - 1;
+            }
+        }
+        return { line: low + 1, column: offset - lineStarts[low] + 1, offset };
+    };
+}
+
+// ============================================================================
+// LEXER
+// ============================================================================
+
+/**
+ * Whitespace between tokens and comments.
+ *
+ * @type {RegExp}
+ */
+const whitespacePattern = /\s*/y;
+
+/**
+ * A word (type name, item name or keyword), a number (with optional sign,
+ * fraction and exponent) or a symbol. A hyphen within a word must be followed
+ * by a letter or digit, so that a comment may directly follow a word
+ * (e.g. "on-- comment").
+ *
+ * @type {RegExp}
+ */
+const tokenPattern = /([A-Za-z][0-9A-Za-z]*(?:-[0-9A-Za-z]+)*)|([+-]?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)|::=|\.\.\.|\.\.|\S/y;
+
+/**
+ * The token reported as found in error messages: a word, a number, a short
+ * parenthesized or bracketed expression (e.g. "(1.5)") or a single character.
+ *
+ * @type {RegExp}
+ */
+const foundPattern = /(?:[A-Za-z][0-9A-Za-z-]*|\d+(?:\.\d+)?|[([][^()[\]\n]{0,20}[)\]]?|\S)/y;
+
+/**
+ * A module header (`Name [{ object identifier }] DEFINITIONS`).
+ *
+ * @type {RegExp}
+ */
+const moduleHeaderPattern = /[A-Z][0-9A-Za-z-]*\s*(?:\{[^{}]*\}\s*)?DEFINITIONS(?![0-9A-Za-z-])/y;
+
+/**
+ * A production (`Name ::=`) or the END of a module, where parsing resumes after an error.
+ *
+ * @type {RegExp}
+ */
+const productionPattern = /(?:[A-Za-z][0-9A-Za-z-]*\s*::=|END(?![0-9A-Za-z-]))/y;
+
+/**
+ * The next production, module header or module END at the start of a line.
+ *
+ * @type {RegExp}
+ */
+const nextProductionPattern = /\n[\t ]*(?:[A-Za-z][0-9A-Za-z-]*\s*(?:::=|(?:\{[^{}]*\}\s*)?DEFINITIONS(?![0-9A-Za-z-]))|END(?![0-9A-Za-z-]))/g;
+
+/**
+ * Normalizes a line of comment text: trims it and collapses runs of spaces and tabs.
+ *
+ * @param {string} line - The comment line without comment markers
+ * @returns {string} The normalized text
+ */
+function formatComment(line) {
+    return line.replace(/[\t ]+/g, ' ').trim();
+}
+
+/**
+ * Creates a lexer that splits content into tokens on demand.
+ *
+ * All patterns are sticky regular expressions applied at the current offset,
+ * so the content is never copied and parsing stays linear in its length. Each
+ * token is `{ kind, text, start, end, comments }`, where `kind` is 'word',
+ * 'number', 'symbol' or 'end' (at the end of the content), `start` and `end`
+ * are character offsets and `comments` lists the comments before the token.
+ *
+ * ASN.1 comments either start with -- and continue to the end of the line or
+ * are enclosed in /* and *\/ (which may be nested and span lines). Each
+ * comment is `{ text, newlines, column }`: its text with the comment markers
+ * and surrounding whitespace removed (a block comment keeps its line breaks,
+ * without the leading '*' of its lines, as in /** ... *\/), the number of line
+ * breaks between the previous token or comment and the comment (Infinity at
+ * the start of the content) and its column (0-based). The parser uses them to
+ * tell trailing from leading comments.
+ *
+ * An unterminated block comment is passed to `report` as ParserError and
+ * extends to the end of the content.
+ *
+ * @param {string} content - The (line ending normalized) BACnet ASN.1 content
+ * @param {function(ParserError)} report - Reports (or throws) an error in the content
+ * @returns {{peek: function(number=): Object, next: function(): Object, reset: function(number)}}
+ *          The lexer: `peek(k)` returns the k-th next token (0 by default) without
+ *          consuming it, `next()` consumes the next token and `reset(offset)`
+ *          continues scanning at a character offset
+ */
+function createLexer(content, report) {
+    let position = 0;
+    const lookahead = [];
+
+    // Scans the token after the whitespace and comments at the current position
+    function scan() {
+        const comments = [];
+        let newlines = position ? 0 : Infinity;
+        for (;;) {
+            whitespacePattern.lastIndex = position;
+            const space = whitespacePattern.exec(content)[0];
+            for (let index = space.indexOf('\n'); index >= 0; index = space.indexOf('\n', index + 1)) {
+                newlines++;
+            }
+            position += space.length;
+
+            let end;
+            let text;
+            if (content.startsWith('--', position)) {
+                end = content.indexOf('\n', position);
+                end = end < 0 ? content.length : end;
+                text = formatComment(content.slice(position + 2, end).replace(/--/g, ''));
+            } else if (content.startsWith('/*', position)) {
+                end = blockCommentEnd(position);
+                text = content.slice(position + 2, content.startsWith('*/', end - 2) ? end - 2 : end).split('\n')
+                    .map(line => formatComment(line.replace(/^\s*\*/, '')))
+                    .join('\n').replace(/^\n+|\n+$/g, '');
+            } else {
+                break;
+            }
+            comments.push({ text, newlines, column: position - content.lastIndexOf('\n', position - 1) - 1 });
+            position = end;
+            newlines = 0;
+        }
+
+        const start = position;
+        tokenPattern.lastIndex = start;
+        const match = tokenPattern.exec(content);
+        if (!match) {
+            return { kind: 'end', text: '', start, end: start, comments };
+        }
+        position = tokenPattern.lastIndex;
+        const kind = match[1] !== undefined ? 'word' : match[2] !== undefined ? 'number' : 'symbol';
+        return { kind, text: match[0], start, end: position, comments };
+    }
+
+    // Returns the offset after the (nested) block comment starting at the given offset
+    function blockCommentEnd(offset) {
+        let depth = 0;
+        let index = offset;
+        do {
+            const open = content.indexOf('/*', index);
+            const close = content.indexOf('*/', index);
+            if (close < 0) {
+                report(new ParserError('Unterminated block comment', content, offset, {
+                    code: 'UNTERMINATED_COMMENT',
+                    expected: ["'*/'"]
+                }));
+                return content.length;
+            }
+            if (open >= 0 && open < close) {
+                depth++;
+                index = open + 2;
+            } else {
+                depth--;
+                index = close + 2;
+            }
+        } while (depth > 0);
+        return index;
+    }
+
+    return {
+        peek(offset = 0) {
+            while (lookahead.length <= offset) {
+                lookahead.push(scan());
+            }
+            return lookahead[offset];
+        },
+        next() {
+            const token = this.peek();
+            lookahead.shift();
+            return token;
+        },
+        reset(offset) {
+            position = offset;
+            lookahead.length = 0;
+        }
+    };
+}
+
+/**
+ * Splits the comments before a token into those that trail the previous token
+ * and those that lead the token.
+ *
+ * Comments trail if they start on the line of the previous token. The comments
+ * on the lines directly below continue them if `below` is set (the convention
+ * of the standard, where the note on a production follows its last line) or
+ * if they start in the same column (aligned item comments). All other
+ * comments, and all comments if there is no previous definition or item to
+ * trail (`previous` not set), lead the token.
+ *
+ * @param {Array<Object>} comments - The comments of the token (see `createLexer()`)
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.below=false] - Whether comments directly below the previous token trail it
+ * @param {boolean} [options.previous=true] - Whether there is a previous definition or item to trail
+ * @returns {{trailing: string|undefined, leading: string|undefined}} The texts of the trailing
+ *          and the leading comments (lines joined by '\n'), undefined if there are none
+ */
+function splitComments(comments, { below = false, previous = true } = {}) {
+    let count = 0;
+    const [first] = comments;
+    if (previous && first && (first.newlines === 0 || (below && first.newlines === 1))) {
+        count = 1;
+        while (count < comments.length && comments[count].newlines <= 1
+            && (below || comments[count].newlines === 0 || comments[count].column === first.column)) {
+            count++;
+        }
+    }
+    return { trailing: joinComments(comments.slice(0, count)), leading: joinComments(comments.slice(count)) };
+}
+
+/**
+ * Joins the texts of comments (or of already joined comments) into one documentation text.
+ *
+ * Comments separated by a blank line are separated by an empty line.
+ *
+ * @param {Array<Object|string|undefined>} comments - Comments (see `createLexer()`) or texts
+ * @returns {string|undefined} The texts joined by '\n', undefined if there is no text
+ */
+function joinComments(comments) {
+    const text = comments
+        .map(comment => typeof comment === 'object' ? `${comment.newlines > 1 ? '\n' : ''}${comment.text}` : comment)
+        .filter(text => text !== undefined)
+        .join('\n')
+        .replace(/^\n+|\n+$/g, '');
+    return text || undefined;
 }
 
 // ============================================================================
@@ -80,17 +520,48 @@ class ParserError extends Error {
  * - Type definitions with optional APPLICATION tags
  * - SEQUENCE and CHOICE types with nested items
  * - ENUMERATED and BIT STRING types
- * - Range and size constraints (including MIN/MAX keywords)
+ * - Range and size constraints (including MIN/MAX keywords, exact 64-bit integers
+ *   as BigInt and real values with exponent, PLUS-INFINITY, MINUS-INFINITY and NOT-A-NUMBER)
  * - Optional fields and extensibility markers
- * - ASN.1 comments (-- style)
+ * - ASN.1 comments (-- and /* *\/ style) as documentation: comments before a
+ *   definition or item become its `description`, comments after it (on its
+ *   last line, and for definitions on the lines directly below) its `comment`
+ * - Module wrappers (`Name DEFINITIONS ... ::= BEGIN ... END`) with EXPORTS and IMPORTS
+ *
+ * When `options.locations` is set, every definition and item additionally
+ * carries a `location` property with the `start` and `end` of its source text,
+ * each given as `{ line, column, offset }` (1-based line and column, 0-based
+ * character offset).
+ *
+ * When `options.recover` is set, parsing does not stop at the first error.
+ * The parser resynchronizes at the next `Name ::=` production that starts a
+ * line and collects every ParserError instead of throwing it. Invalid
+ * characters are reported and then treated as whitespace.
+ *
+ * Module wrappers are always accepted, and their definitions are returned like
+ * bare productions. When `options.modules` is set, the modules are returned as
+ * well, each as `{ name, tagging, exports, imports, definitions }`: `tagging` is
+ * 'EXPLICIT' (the ASN.1 default), 'IMPLICIT' or 'AUTOMATIC', `exports` is 'ALL'
+ * (also without EXPORTS clause) or an array of names, and `imports` lists the
+ * imported names per module as `{ names, from }`. Imports are not resolved by
+ * the parser, see `createRegistry()` in `registry.js`.
  *
  * @param {string} content - The BACnet ASN.1 content to parse
- * @returns {Array<Object>} Array of parsed ASN.1 definition objects
+ * @param {Object} [options] - Parser options
+ * @param {boolean} [options.locations=false] - Attach source locations to definitions, items,
+ *        modules and imports
+ * @param {boolean} [options.recover=false] - Collect errors and continue with the next production
+ * @param {boolean} [options.modules=false] - Return the module headers along with the definitions
+ * @returns {Array<Object>|{definitions: Array<Object>, modules?: Array<Object>, errors?: Array<ParserError>}}
+ *          Array of parsed ASN.1 definition objects, or (with `options.recover` or
+ *          `options.modules`) an object with the definitions, the modules and/or all
+ *          errors found
  *
  * @throws {TypeError} If the input is not a string
  * @throws {ParserError} If invalid characters are found or syntax errors are detected
+ *         (unless `options.recover` is set)
  */
-function parse(content) {
+function parse(content, options = {}) {
 
     // Validate input type
     if (typeof content !== 'string') {
@@ -99,111 +570,163 @@ function parse(content) {
 
     // Normalize line endings to Unix format (\n)
     content = content.replaceAll(/\r\n|\r/g, '\n');
-    let text = content;
+
+    // Errors collected in recovery mode
+    const errors = [];
 
     // Validate that content contains only ASCII printable characters, tabs, and newlines
     const invalidCharIndex = content.search(/[^\t\n\x20-\x7E]/);
     if (invalidCharIndex >= 0) {
-        throw new ParserError('Invalid characters in content', content, invalidCharIndex);
+        if (!options.recover) {
+            throw new ParserError('Invalid characters in content', content, invalidCharIndex, { code: 'INVALID_CHARACTER' });
+        }
+        // Report each run of invalid characters, then parse them as whitespace
+        for (const match of content.matchAll(/[^\t\n\x20-\x7E]+/g)) {
+            errors.push(new ParserError('Invalid characters in content', content, match.index, { code: 'INVALID_CHARACTER' }));
+        }
+        content = content.replaceAll(/[^\t\n\x20-\x7E]/g, ' ');
     }
+    const lexer = createLexer(content, error => {
+        if (!options.recover) {
+            throw error;
+        }
+        errors.push(error);
+    });
+
+    // End of the last consumed token (before any following whitespace/comments)
+    let tokenEnd = 0;
+    const locate = options.locations ? createLocator(content) : null;
 
-    // Track current position in original content for error reporting
-    let currentIndex = 0;
-    let lastComment = '';
-    
     /**
-     * Advances to the next parsable character by skipping whitespace and comments.
+     * Attaches a source location to a definition or item if locations are enabled.
      *
-     * ASN.1 comments start with -- and continue to the end of the line.
-     * Extracts comment text for potential use as documentation.
-     *
-     * @returns {boolean} True if more content remains to parse, false otherwise
+     * @param {Object} target - The definition or item to annotate
+     * @param {number} start - Character offset where the target begins
      */
-    function skipWhitespaceAndComments() {
-        lastComment = '';
-        text = text.replace(/^(\s|--.*)+/, match => {
-            lastComment = match.replace(/--/g, '').replace(/[\t ]+/g, ' ').trim();
-            return '';
-        });
-        currentIndex = content.length - text.length;
-        return text.length > 0;
+    function attachLocation(target, start) {
+        if (locate) {
+            target.location = { start: locate(start), end: locate(tokenEnd) };
+        }
     }
 
     /**
-     * Attempts to match a pattern at the current position in the text.
+     * Consumes the next token(s).
      *
-     * This is the core matching function used throughout the parser. It handles both
-     * string literals and regular expressions, automatically consuming matched text
-     * and advancing past any following whitespace or comments.
-     *
-     * When a match is successful:
-     * 1. The matched text is consumed from the input
-     * 2. Following whitespace/comments are skipped
-     * 3. An optional transform is applied to the match result
-     * 4. The (possibly transformed) match is returned
+     * @param {number} [count=1] - Number of tokens to consume
+     * @returns {Object} The last consumed token
+     */
+    function consume(count = 1) {
+        let token;
+        for (let consumed = 0; consumed < count; consumed++) {
+            token = lexer.next();
+        }
+        tokenEnd = token.end;
+        return token;
+    }
+
+    /**
+     * Checks whether the next tokens have the given texts, without consuming them.
      *
-     * @param {string|RegExp} pattern - The pattern to match
-     *        - String: Checks if text starts with this exact string
-     *        - RegExp: Must be anchored with ^ to match from start of text
-     * @param {string|Function} [transform] - Optional transform for the matched value
-     *        - String: Replace match with this literal value
-     *        - Function: Called with match object, returns transformed value
-     * @returns {*} The match result (possibly transformed) if successful, false/undefined if no match
+     * @param {...(string|null)} texts - Expected token texts; null matches an
+     *        unsigned integer (e.g. a tag or item number)
+     * @returns {boolean} True if all tokens match
      *
      * @example
-     * // Match literal string
-     * tryMatch('SEQUENCE')  // Returns true if text starts with 'SEQUENCE'
+     * lookingAt('[', 'APPLICATION', null, ']')  // True before "[APPLICATION 2]"
+     */
+    function lookingAt(...texts) {
+        return texts.every((text, offset) => {
+            const token = lexer.peek(offset);
+            return text === null
+                ? token.kind === 'number' && /^\d+$/.test(token.text)
+                : token.kind !== 'end' && token.text === text;
+        });
+    }
+
+    /**
+     * Consumes the next token if it is a given symbol or keyword, or a word
+     * matching a pattern.
      *
-     * @example
-     * // Match regex and transform to constant
-     * tryMatch(/^BIT\s+STRING/, 'BitString')  // Returns 'BitString' if matched
+     * Patterns are sticky and applied at the start of the token, so that their
+     * lookaheads may inspect the content following the word.
+     *
+     * @param {string|RegExp} expected - Token text (e.g. '::=' or 'OPTIONAL') or sticky word pattern
+     * @returns {Object|undefined} The consumed token, undefined if the next token does not match
      *
      * @example
-     * // Match regex and extract capture group
-     * tryMatch(/^\[APPLICATION\s+(\d+)\]/, match => parseInt(match[1], 10))
+     * accept('OPTIONAL')             // Consumes an OPTIONAL keyword
+     * accept(/[A-Z][0-9A-Za-z-]+/y)  // Consumes a capitalized word
      */
-    function tryMatch(pattern, transform) {
-        const isString = typeof pattern === 'string';
-        let match = isString ? text.startsWith(pattern) : text.match(pattern);
-
-        if (!match) {
-            return match;
+    function accept(expected) {
+        const token = lexer.peek();
+        if (typeof expected === 'string') {
+            return token.kind !== 'end' && token.text === expected ? consume() : undefined;
         }
-
-        // Consume matched text and skip following whitespace/comments
-        const matchLength = isString ? pattern.length : match[0].length;
-        text = text.substring(matchLength);
-        skipWhitespaceAndComments();
-
-        // Apply transform if provided (either replace with string or call function)
-        if (transform) {
-            match = typeof transform === 'string' ? transform : transform(match);
+        if (token.kind !== 'word') {
+            return undefined;
         }
-
-        return match;
+        expected.lastIndex = token.start;
+        const length = expected.exec(content)?.[0].length;
+        if (!length) {
+            return undefined;
+        }
+        consume();
+        if (length < token.text.length) {
+            // The pattern matched the start of the word only (e.g. 'Type' of 'Type-name'),
+            // so scanning continues after the match
+            lexer.reset(token.start + length);
+            tokenEnd = token.start + length;
+            return { ...token, text: token.text.slice(0, length), end: tokenEnd };
+        }
+        return token;
     }
 
     /**
-     * Matches a required pattern or throws a ParserError if not found.
+     * Consumes a required token or throws a ParserError if it is not found.
      *
-     * This is a strict version of tryMatch() that enforces that a pattern MUST match
-     * at the current position. Use this for syntax elements that are mandatory according
-     * to the ASN.1 grammar (e.g., type names, closing braces, required parentheses).
+     * This is a strict version of accept() for syntax elements that are mandatory
+     * according to the ASN.1 grammar (e.g., type names, closing braces, required parentheses).
      *
-     * @param {string|RegExp} pattern - The pattern that must match
-     * @returns {*} The match result (never returns false/undefined)
-     * @throws {ParserError} If the pattern does not match, includes line number for debugging
+     * @param {string|RegExp} expected - Token text or sticky word pattern (see accept())
+     * @param {string} code - Error code if the token does not match
+     * @param {Array<string>} descriptions - Human-readable descriptions of what was expected
+     * @param {function(string): string} [suggest] - Returns a hint for the token found instead
+     * @returns {Object} The consumed token
+     * @throws {ParserError} If the token does not match
      *
      * @example
-     * // Require a type name (will throw if not found)
-     * const typeName = requireMatch('}');
+     * // Require a closing brace (will throw if not found)
+     * expect('}', 'CLOSING_BRACE_EXPECTED', ["'}'"]);
      */
-    function requireMatch(pattern) {
-        const match = tryMatch(pattern);
-        if (!match) {
-            throw new ParserError(`Expected pattern ${pattern} not found`, content, currentIndex);
-        }
-        return match;
+    function expect(expected, code, descriptions, suggest) {
+        return accept(expected) ?? fail(code, descriptions, suggest);
+    }
+
+    /**
+     * Throws a ParserError describing what was expected and what was found instead.
+     *
+     * The message never contains regular expressions, only the human-readable
+     * `expected` descriptions and the token found at the current position. If the
+     * found token resembles an ASN.1 keyword, a "did you mean" hint is added.
+     *
+     * @param {string} code - Error code
+     * @param {Array<string>} expected - Human-readable descriptions of what was expected
+     * @param {function(string): string} [suggest] - Returns a hint for the token found instead
+     * @throws {ParserError} Always
+     */
+    function fail(code, expected, suggest) {
+        const index = lexer.peek().start;
+        foundPattern.lastIndex = index;
+        const token = foundPattern.exec(content)?.[0];
+        const keyword = token && suggestKeyword(token);
+        const hint = (token && suggest?.(token)) || (keyword && `did you mean '${keyword}'?`) || undefined;
+
+        const found = token ? `'${token}'` : 'end of input';
+        const alternatives = expected.length > 1
+            ? `${expected.slice(0, -1).join(', ')} or ${expected.at(-1)}`
+            : expected[0];
+        const message = `Expected ${alternatives} but found ${found}${hint ? `; ${hint}` : ''}`;
+        throw new ParserError(message, content, index, { code, expected, hint });
     }
 
     /**
@@ -217,16 +740,96 @@ function parse(content) {
     function parseDefinition(definition) {
 
         // Parse type name (PascalCase with optional hyphens)
-        definition.name = requireMatch(/^([A-Z][0-9A-Za-z]*(?:-[A-Z][0-9A-Za-z]*)*)\s*::=/)[1];
+        definition.name = expect(/[A-Z][0-9A-Za-z]*(?:-[A-Z][0-9A-Za-z]*)*(?![0-9A-Za-z-])/y,
+            'TYPE_NAME_EXPECTED', ['type name'], suggestTypeName).text;
+        expect('::=', 'ASSIGNMENT_EXPECTED', ["'::='"]);
 
         // Parse optional APPLICATION tag
-        tryMatch(/^\[\s*APPLICATION\s+(\d+)\s*\]/, match => {
-            definition.primitive = parseInt(match[1], 10);
-        });
+        if (lookingAt('[', 'APPLICATION', null, ']')) {
+            definition.primitive = parseInt(consume(3).text, 10);
+            consume();
+        } else if (lookingAt('[')) {
+            fail('INVALID_TAG', ['application tag such as [APPLICATION 2]']);
+        }
 
         parseType(definition);
     }
 
+    /**
+     * Parses a module header and its EXPORTS and IMPORTS clauses.
+     *
+     * Format: ModuleName [{ object identifier }] DEFINITIONS [tagging TAGS]
+     *         [EXTENSIBILITY IMPLIED] ::= BEGIN [EXPORTS ...;] [IMPORTS ...;]
+     *
+     * @param {Object} module - The module object to populate
+     */
+    function parseModuleHeader(module) {
+        // The header has been recognized by moduleHeaderPattern
+        module.name = consume().text;
+        skipObjectIdentifier();
+        consume();
+
+        const tagging = lexer.peek().text;
+        if (['EXPLICIT', 'IMPLICIT', 'AUTOMATIC'].includes(tagging) && lookingAt(tagging, 'TAGS')) {
+            consume(2);
+            module.tagging = tagging;
+        } else {
+            module.tagging = 'EXPLICIT';
+        }
+        if (lookingAt('EXTENSIBILITY', 'IMPLIED')) {
+            consume(2);
+        }
+        expect('::=', 'INVALID_MODULE_HEADER', ["'::='"]);
+        expect('BEGIN', 'INVALID_MODULE_HEADER', ["'BEGIN'"]);
+
+        if (accept('EXPORTS')) {
+            if (accept('ALL')) {
+                module.exports = 'ALL';
+            } else {
+                module.exports = lookingAt(';') ? [] : parseSymbolList();
+            }
+            expect(';', 'INVALID_SYMBOL_LIST', ["','", "';'"]);
+        }
+
+        if (accept('IMPORTS')) {
+            while (!accept(';')) {
+                const start = lexer.peek().start;
+                const names = parseSymbolList();
+                expect('FROM', 'INVALID_SYMBOL_LIST', ["','", "'FROM'"]);
+                const from = expect(/[A-Z][0-9A-Za-z-]*/y, 'INVALID_SYMBOL_LIST', ['module name']).text;
+                // The module may be identified by an object identifier as well
+                skipObjectIdentifier();
+                const symbols = { names, from };
+                attachLocation(symbols, start);
+                module.imports.push(symbols);
+            }
+        }
+    }
+
+    /**
+     * Skips an object identifier in braces (e.g. `{ iso standard 16484 }`), if present.
+     */
+    function skipObjectIdentifier() {
+        if (accept('{')) {
+            while (lexer.peek().kind !== 'end' && consume().text !== '}') {
+                // The components of object identifiers are not needed
+            }
+        }
+    }
+
+    /**
+     * Parses a comma-separated list of type and value names (EXPORTS and IMPORTS).
+     *
+     * @returns {Array<string>} The names
+     */
+    function parseSymbolList() {
+        const names = [];
+        do {
+            names.push(expect(/[A-Za-z][0-9A-Za-z-]*/y, 'INVALID_SYMBOL_LIST', ['name']).text);
+        } while (accept(','));
+        return names;
+    }
+
     /**
      * Parses a type expression (the right-hand side of a definition).
      *
@@ -238,25 +841,32 @@ function parse(content) {
      */
     function parseType(item) {
 
-        // Check for SEQUENCE OF or SEQUENCE SIZE(n) OF
-        tryMatch(/^SEQUENCE\s*(?:SIZE\s*\(\s*(\d+)\s*\)\s*)?OF/, match => {
-            item.series = match[1] ? parseInt(match[1], 10) : true;
-        });
+        // Check for SEQUENCE OF, SEQUENCE SIZE(n) OF, SEQUENCE SIZE(min..max) OF
+        // or SEQUENCE (SIZE(min..max)) OF; constraints after OF belong to the element type
+        if (lookingAt('SEQUENCE', 'OF') || lookingAt('SEQUENCE', 'SIZE') || lookingAt('SEQUENCE', '(', 'SIZE')) {
+            consume();
+            const constraint = {};
+            parseSizeConstraint(constraint);
+            expect('OF', 'TYPE_EXPECTED', ["'OF'"]);
+            const { min, max } = constraint.size ?? {};
+            item.series = constraint.size ? (min === max ? min : { min, max }) : true;
+        }
 
         // Determine base type (built-in or user-defined)
-        item.type = tryMatch('ABSTRACT-SYNTAX.&Type', 'Any')
-            || tryMatch('ENUMERATED', 'Enumerated')
-            || tryMatch(/^BIT\s+STRING/, 'BitString')
-            || tryMatch(/^OCTET\s+STRING/, 'OctetString')
-            || requireMatch(/^[A-Z][0-9A-Za-z]*(?:-[A-Z][0-9A-Za-z]*)*/)[0];
+        if (lookingAt('ABSTRACT-SYNTAX', '.', '&', 'Type')) {
+            consume(4);
+            item.type = 'Any';
+        } else if (accept('ENUMERATED')) {
+            item.type = 'Enumerated';
+        } else if (lookingAt('BIT', 'STRING') || lookingAt('OCTET', 'STRING')) {
+            item.type = lexer.peek().text === 'BIT' ? 'BitString' : 'OctetString';
+            consume(2);
+        } else {
+            item.type = expect(/[A-Z][0-9A-Za-z]*(?:-[A-Z][0-9A-Za-z]*)*/y, 'TYPE_EXPECTED', ['type']).text;
+        }
 
         // Parse SIZE constraint if present
-        tryMatch(/^\(?\s*SIZE/, match => {
-            parseRangeConstraint(item, true);
-            if (match[0].startsWith('(')) {
-                requireMatch(')');
-            }
-        });
+        parseSizeConstraint(item);
 
         // Parse value range constraint
         parseRangeConstraint(item, false);
@@ -265,33 +875,65 @@ function parse(content) {
         parseItems(item);
     }
 
+    /**
+     * Parses a SIZE constraint in the form SIZE(min..max) or (SIZE(min..max)), if present.
+     *
+     * @param {Object} item - The item object to add the constraint to
+     */
+    function parseSizeConstraint(item) {
+        const isParenthesized = lookingAt('(', 'SIZE');
+        if (!isParenthesized && !lookingAt('SIZE')) {
+            return;
+        }
+        consume(isParenthesized ? 2 : 1);
+        parseRangeConstraint(item, true);
+        if (isParenthesized) {
+            expect(')', 'CLOSING_PARENTHESIS_EXPECTED', ["')'"]);
+        }
+    }
+
     /**
      * Parses a range constraint in the form (min..max) or (value).
      *
-     * Supports MIN/MAX keywords for unbounded ranges. Validates that minimum
-     * is not greater than maximum.
+     * Supports MIN/MAX keywords for unbounded ranges, real values with exponent
+     * and the special real values PLUS-INFINITY, MINUS-INFINITY and NOT-A-NUMBER
+     * (see `parseLimit()`). Validates that minimum is not greater than maximum.
      *
      * @param {Object} item - The item object to add the constraint to
      * @param {boolean} isSize - True if this is a SIZE constraint, false for value range
      */
     function parseRangeConstraint(item, isSize) {
-        const rangePattern = /^\(\s*(MIN|[+-]?\d+(?:\.\d+)?)\s*(?:\.\.\s*(MAX|[+-]?\d+(?:\.\d+)?)\s*)?\)/;
-        const match = isSize ? requireMatch(rangePattern) : tryMatch(rangePattern);
+        const start = lexer.peek().start;
+        const [open, lower, separator, upper, close] = [0, 1, 2, 3, 4].map(offset => lexer.peek(offset));
+
+        // MIN is only allowed as lower and MAX only as upper limit
+        let limits;
+        if (open.text === '(' && isLimit(lower, 'MIN')) {
+            if (separator.text === ')') {
+                limits = [lower.text];
+            } else if (separator.text === '..' && isLimit(upper, 'MAX') && close.text === ')') {
+                limits = [lower.text, upper.text];
+            }
+        }
 
-        if (!match) {
+        if (!limits) {
+            // A SIZE keyword or an opening parenthesis after a type must start a valid constraint
+            if (isSize || open.text === '(') {
+                fail('INVALID_CONSTRAINT', [isSize ? 'size constraint such as (1..6)' : 'range constraint such as (0..255)']);
+            }
             return;
         }
+        consume(2 * limits.length + 1);
 
-        const minValue = match[1] === 'MIN' ? Number.NEGATIVE_INFINITY : parseFloat(match[1]);
-        const maxValue = match[2]
-            ? (match[2] === 'MAX' ? Number.POSITIVE_INFINITY : parseFloat(match[2]))
-            : minValue;
+        const minValue = parseLimit(limits[0]);
+        const maxValue = limits[1] ? parseLimit(limits[1]) : minValue;
 
         if (minValue > maxValue) {
             throw new ParserError(
                 `Invalid range: minimum (${minValue}) is greater than maximum (${maxValue})`,
                 content,
-                currentIndex
+                start,
+                { code: 'INVALID_RANGE', expected: ['minimum less than or equal to maximum'] }
             );
         }
 
@@ -310,7 +952,7 @@ function parse(content) {
      * @param {Object} definition - The definition object to add items to
      */
     function parseItems(definition) {
-        if (!tryMatch('{')) {
+        if (!accept('{')) {
             return;
         }
 
@@ -318,81 +960,428 @@ function parse(content) {
         const isComplexType = ['CHOICE', 'SEQUENCE'].includes(definition.type);
 
         if (!isSimpleType && !isComplexType) {
+            const keyword = suggestKeyword(definition.type);
+            const hint = keyword ? `did you mean '${keyword}'?` : undefined;
             throw new ParserError(
-                `Type '${definition.type}' cannot have items`,
+                `Type '${definition.type}' cannot have items${hint ? `; ${hint}` : ''}`,
                 content,
-                currentIndex
+                lexer.peek().start,
+                { code: 'ITEMS_NOT_ALLOWED', expected: ['ENUMERATED', 'BIT STRING', 'SEQUENCE', 'CHOICE'], hint }
             );
         }
 
         definition.items = [];
 
-        while (skipWhitespaceAndComments()) {
+        // Comments after the opening brace lead the first item
+        let description = joinComments(lexer.peek().comments);
+
+        while (lexer.peek().kind !== 'end') {
             // Parse item name (kebab-case, starts with lowercase)
-            const itemName = requireMatch(/^[a-z][0-9a-z]*(?:-[0-9a-z]+)*/)[0];
+            const itemStart = lexer.peek().start;
+            const itemName = expect(/[a-z][0-9a-z]*(?:-[0-9a-z]+)*(?![0-9A-Za-z])/y,
+                'ITEM_NAME_EXPECTED', ['item name'], suggestItemName).text;
             const item = { name: itemName };
+            const itemDescription = description;
 
             if (isSimpleType) {
                 // Simple types: name (number)
-                item.number = parseInt(requireMatch(/^\(\s*(\d+)\s*\)/)[1], 10);
+                if (!lookingAt('(', null, ')')) {
+                    fail('ITEM_NUMBER_EXPECTED', ['item number such as (1)'], suggestItemNumber);
+                }
+                item.number = parseInt(consume(2).text, 10);
+                consume();
             } else {
                 // Complex types: name [tag] Type OPTIONAL
-                const tagMatch = tryMatch(/^\[(\d+)\]/);
-                if (tagMatch) {
-                    item.number = parseInt(tagMatch[1], 10);
+                if (lookingAt('[', null, ']')) {
+                    item.number = parseInt(consume(2).text, 10);
+                    consume();
+                } else if (lookingAt('[')) {
+                    fail('INVALID_TAG', ['context tag such as [0]']);
                 }
 
                 parseType(item);
 
-                if (tryMatch('OPTIONAL')) {
+                if (accept('OPTIONAL')) {
                     item.optional = true;
                 }
             }
 
-            // Preserve comments as documentation
-            // Comment text comes from the last skipWhitespaceAndComments() call,
-            // which captured any "-- comment" text after the item's definition
-            if (lastComment) {
-                item.comment = lastComment;
-            }
+            // Preserve comments as documentation: the comments before the comma
+            // (or the closing brace) trail the item
+            const comments = [joinComments(lexer.peek().comments)];
 
+            attachLocation(item, itemStart);
             definition.items.push(item);
 
             // Check for continuation (comma) or extensibility marker ("...")
-            if (tryMatch(',')) {
-                // After comma is consumed, any new comment belongs to the NEXT item,
-                // so don't reassign it to the current item here
-
-                // Extensibility marker (...) allowed for all types except SEQUENCE
-                if (definition.type !== 'SEQUENCE' && tryMatch('...')) {
+            let more = false;
+            if (accept(',')) {
+                // A comment on the same line as the comma trails the item as well
+                // (e.g. "in-alarm (0), -- Object is in alarm state"), the comments
+                // on the following lines lead the next item
+                const { trailing, leading } = splitComments(lexer.peek().comments);
+                comments.push(trailing);
+                description = leading;
+
+                // Extensibility marker (...) allowed for all types except SEQUENCE.
+                // There is no next item, so the comments around it trail the last item.
+                if (definition.type !== 'SEQUENCE' && accept('...')) {
                     definition.extensible = true;
-                    break;
+                    comments.push(leading, joinComments(lexer.peek().comments));
+                } else {
+                    more = true;
                 }
-                continue;
             }
 
-            break;
+            if (itemDescription) {
+                item.description = itemDescription;
+            }
+            const comment = joinComments(comments);
+            if (comment) {
+                item.comment = comment;
+            }
+            if (!more) {
+                break;
+            }
         }
 
-        requireMatch('}');
+        const lastItem = definition.items.at(-1);
+        expect('}', 'CLOSING_BRACE_EXPECTED',
+            isComplexType && lastItem && !lastItem.optional ? ["','", "'}'", "'OPTIONAL'"] : ["','", "'}'"]);
+    }
 
-        // Preserve closing comment as definition documentation
-        if (lastComment) {
-            definition.comment = lastComment;
+    /**
+     * Skips the remainder of a broken definition after a parser error.
+     *
+     * Parsing resumes at the next production (`Name ::=`) at the start of a line.
+     * If the error was detected right at the beginning of a following production
+     * (e.g. a missing closing brace), parsing resumes there. Productions with
+     * malformed names are resumed at as well, so that they report their own error.
+     *
+     * @param {number} definitionStart - Character offset where the broken definition began
+     */
+    function resynchronize(definitionStart) {
+        const index = lexer.peek().start;
+        productionPattern.lastIndex = index;
+        if (index > definitionStart && productionPattern.test(content)) {
+            return;
         }
+        nextProductionPattern.lastIndex = index;
+        const next = nextProductionPattern.exec(content);
+        lexer.reset(next ? next.index : content.length);
     }
 
-    // Parse all definitions in the content
+    // Parse all definitions in the content, within modules or not
     const definitions = [];
-    while (skipWhitespaceAndComments()) {
+    const modules = [];
+    let module = null;
+    let moduleStart = 0;
+    // Whether the last thing parsed was a definition, which the next comments may trail
+    let afterDefinition = false;
+    while (lexer.peek().kind !== 'end') {
         const definition = {};
-        parseDefinition(definition);
+        const definitionStart = lexer.peek().start;
+        // Comments before a definition lead it, apart from those trailing the previous one
+        const { leading } = splitComments(lexer.peek().comments, { below: true, previous: afterDefinition });
+        afterDefinition = false;
+        try {
+            if (module && accept('END')) {
+                attachLocation(module, moduleStart);
+                module = null;
+                continue;
+            }
+            moduleHeaderPattern.lastIndex = definitionStart;
+            if (!module && moduleHeaderPattern.test(content)) {
+                // Register the module first, so that it keeps its definitions if the header is broken
+                module = { name: undefined, tagging: undefined, exports: 'ALL', imports: [], definitions: [] };
+                moduleStart = definitionStart;
+                modules.push(module);
+                parseModuleHeader(module);
+                continue;
+            }
+            parseDefinition(definition);
+        } catch (error) {
+            if (!options.recover || !(error instanceof ParserError)) {
+                throw error;
+            }
+            errors.push(error);
+            resynchronize(definitionStart);
+            continue;
+        }
+
+        // Preserve comments as documentation: leading comments as the description,
+        // the comments on the last line and the lines directly below as the comment
+        // (e.g. the note on the proprietary range after the closing brace)
+        const { trailing } = splitComments(lexer.peek().comments, { below: true });
+        if (leading) {
+            definition.description = leading;
+        }
+        if (trailing) {
+            definition.comment = trailing;
+        }
+        afterDefinition = true;
+        attachLocation(definition, definitionStart);
         definitions.push(definition);
+        module?.definitions.push(definition);
+    }
+
+    if (module) {
+        const error = new ParserError(`Expected 'END' of module '${module.name}' but found end of input`,
+            content, content.length, { code: 'END_EXPECTED', expected: ["'END'"] });
+        if (!options.recover) {
+            throw error;
+        }
+        errors.push(error);
+        attachLocation(module, moduleStart);
+    }
+
+    if (options.recover || options.modules) {
+        const result = { definitions };
+        if (options.modules) {
+            result.modules = modules;
+        }
+        if (options.recover) {
+            // Report errors in source order (invalid characters were collected first)
+            errors.sort((a, b) => a.line - b.line);
+            result.errors = errors;
+        }
+        return result;
     }
 
     return definitions;
 }
 
+// ============================================================================
+// CONSTRAINT VALUES
+// ============================================================================
+
+/**
+ * Converts a range or size limit as written in ASN.1 into a parsed value.
+ *
+ * Integers are kept exactly: as number within the safe integer range and as
+ * BigInt beyond it (e.g. 18446744073709551615). Real values may have an
+ * exponent. MIN and MINUS-INFINITY become -Infinity, MAX and PLUS-INFINITY
+ * become Infinity, and NOT-A-NUMBER becomes NaN.
+ *
+ * @param {string} token - The limit (a number or one of the keywords above)
+ * @returns {number|bigint} The value
+ */
+function parseLimit(token) {
+    switch (token) {
+        case 'MIN':
+        case 'MINUS-INFINITY':
+            return Number.NEGATIVE_INFINITY;
+        case 'MAX':
+        case 'PLUS-INFINITY':
+            return Number.POSITIVE_INFINITY;
+        case 'NOT-A-NUMBER':
+            return Number.NaN;
+    }
+    if (/^[+-]?\d+$/.test(token)) {
+        const value = Number(token);
+        return Number.isSafeInteger(value) ? value : BigInt(token);
+    }
+    return Number(token);
+}
+
+/**
+ * Checks whether a token is a range or size limit.
+ *
+ * @param {Object} token - The token (see `createLexer()`)
+ * @param {string} keyword - The unbounded limit allowed at this position: 'MIN' or 'MAX'
+ * @returns {boolean} True for numbers, the keyword and the special real values
+ */
+function isLimit(token, keyword) {
+    return token.kind === 'number'
+        || (token.kind === 'word' && [keyword, 'PLUS-INFINITY', 'MINUS-INFINITY', 'NOT-A-NUMBER'].includes(token.text));
+}
+
+/**
+ * Converts a parsed range or size limit into its normalized form.
+ *
+ * Like the predefined types (e.g. `unsigned-64`), values that a JSON number
+ * cannot represent exactly are given as strings: integers beyond the safe
+ * integer range as their decimal digits, and the special values as 'Infinity',
+ * '-Infinity' and 'NaN'. `Number()` (or `BigInt()` for integers) converts
+ * every normalized limit back.
+ *
+ * @param {number|bigint|string} value - Parsed limit
+ * @returns {number|string} Normalized limit
+ */
+function normalizeLimit(value) {
+    if (typeof value === 'bigint' || (typeof value === 'number' && !Number.isFinite(value))) {
+        return String(value);
+    }
+    return value;
+}
+
+// ============================================================================
+// NORMALIZATION RULES
+// ============================================================================
+
+/**
+ * Known BACnet types whose constraints are not fully captured by their ASN.1
+ * definitions, as data: definition name -> traits that are set on the normalized type.
+ *
+ * - **BACnetEngineeringUnits**: Extends to 65535, defines proprietary ranges
+ * - **BACnetPropertyIdentifier**: Extends to 4294967295, defines proprietary range
+ * - **BACnetObjectTypesSupported**: Sets minimum 18 bits, max 1024, proprietary range
+ * - **BACnetServicesSupported**: Sets minimum 35 bits, max 512
+ *
+ * @type {Object<string, Object>}
+ */
+const knownTypeRules = {
+    BACnetEngineeringUnits: {
+        maximum: 65535,
+        proprietary: [
+            { from: 256, to: 47807 },
+            { from: 50000, to: 65535 }
+        ]
+    },
+    BACnetPropertyIdentifier: {
+        maximum: 4294967295,
+        proprietary: { from: 512, to: 4194303 }
+    },
+    BACnetObjectTypesSupported: {
+        length: { minimum: 18, maximum: 1024 },
+        proprietary: { from: 128, to: 1023 }
+    },
+    BACnetServicesSupported: {
+        length: { minimum: 35, maximum: 512 }
+    }
+};
+
+/**
+ * Sets the length of BACnetAuditOperationFlags from its highest bit position,
+ * with the proprietary bits 32 to 63.
+ *
+ * @param {Object} definition - The parsed definition being normalized
+ * @param {Object} traits - The traits of the normalized type (modified in place)
+ * @returns {boolean} True if the rule applies
+ */
+function auditOperationFlagsRule(definition, traits) {
+    if (definition.name !== 'BACnetAuditOperationFlags') {
+        return false;
+    }
+    traits.length = { minimum: Math.max(...definition.items.map(item => item.number)) + 1, maximum: 64 };
+    traits.proprietary = { from: 32, to: 63 };
+    return true;
+}
+
+/**
+ * Sentences of the standard that assign number ranges to ASHRAE or to others,
+ * e.g. "Enumerated values 0-255 and 47808-49999 are reserved for definition by
+ * ASHRAE" or "Bits 32-63 may be used by others subject to the procedures and
+ * constraints described in Clause 23". Ranges are given as `from-to`,
+ * `from through to` or single numbers, separated by commas and/or 'and'.
+ *
+ * @type {RegExp}
+ */
+const rangeSentencePattern = new RegExp(String.raw`(?:Enumerated values|Values|Bit positions|Bits)\s+` +
+    String.raw`((?:\d+(?:\s*(?:-|through|to)\s*\d+)?(?:\s*,\s*|\s*,?\s+and\s+)?)+)\s+` +
+    String.raw`(?:(?:are|is) reserved for (?:definition|use) by ASHRAE|(may|can) be used by (?:others|vendors))`, 'gi');
+
+/**
+ * Reads the ASHRAE and proprietary number ranges from the comment of an extensible type.
+ *
+ * @param {string} [comment] - The comment of the definition
+ * @returns {{reserved: Array<Object>, proprietary: Array<Object>}|undefined} The ranges
+ *          as `{ from, to }`, undefined if the comment names no proprietary range
+ */
+function parseProprietaryRanges(comment) {
+    const ranges = { reserved: [], proprietary: [] };
+    for (const match of (comment ?? '').replace(/\s+/g, ' ').matchAll(rangeSentencePattern)) {
+        for (const range of match[1].matchAll(/(\d+)(?:\s*(?:-|through|to)\s*(\d+))?/g)) {
+            const from = parseInt(range[1], 10);
+            ranges[match[2] ? 'proprietary' : 'reserved'].push({ from, to: range[2] ? parseInt(range[2], 10) : from });
+        }
+    }
+    return ranges.proprietary.length ? ranges : undefined;
+}
+
+/**
+ * Adds the proprietary range(s) of extensible enumerations and bit strings.
+ *
+ * The ranges are taken from the standard comment (see `rangeSentencePattern`).
+ * Enumerations get the lowest reserved value as `minimum` (unless 0) and the
+ * highest value of all ranges as `maximum`; bit strings without SIZE get a
+ * `length` from their highest named bit to the highest bit of all ranges.
+ * Without such a comment, an empty range (`{ from: 1, to: 0 }`) marks the
+ * type as extensible (`validate()` warns about it).
+ *
+ * @param {Object} definition - The parsed definition being normalized
+ * @param {Object} traits - The traits of the normalized type (modified in place)
+ * @returns {boolean} True if the rule applies (the type is extensible)
+ */
+function extensibleTypeRule(definition, traits) {
+
+    // If not extensible, no proprietary ranges to add
+    if (!definition.extensible) {
+        return false;
+    }
+
+    const ranges = ['Enumerated', 'BitString'].includes(definition.type) && parseProprietaryRanges(definition.comment);
+    if (!ranges) {
+        // Default (unknown) proprietary range
+        traits.proprietary = { from: 1, to: 0 };
+        return true;
+    }
+
+    const highest = Math.max(...[...ranges.reserved, ...ranges.proprietary].map(range => range.to));
+    if (definition.type === 'Enumerated') {
+        const minimum = Math.min(...ranges.reserved.map(range => range.from));
+        if (ranges.reserved.length && minimum !== 0) {
+            traits.minimum = minimum;
+        }
+        traits.maximum = highest;
+    } else if (!traits.length) {
+        const named = Math.max(-1, ...(definition.items ?? []).map(item => item.number));
+        traits.length = { minimum: named + 1, maximum: highest + 1 };
+    }
+    traits.proprietary = ranges.proprietary.length === 1 ? ranges.proprietary[0] : ranges.proprietary;
+    return true;
+}
+
+/**
+ * The rules applied by `normalize()` unless others are given.
+ *
+ * A rule set is an array of rules, each either
+ * - data: an object mapping definition names to the traits to set on their
+ *   normalized types (e.g. `{ BACnetVendorUnits: { maximum: 1023, proprietary: { from: 512, to: 1023 } } }`), or
+ * - a callback `(definition, traits) => boolean` that receives the parsed definition
+ *   and the traits of its normalized type, modifies the traits in place and returns
+ *   true if it applies.
+ *
+ * Rules are tried in order and only the first rule that applies to a definition
+ * is used, so rules placed before the default rules override them:
+ * `normalize(definition, { rules: [vendorRules, ...defaultRules] })`.
+ *
+ * @type {Array<Object|Function>}
+ */
+const defaultRules = [knownTypeRules, auditOperationFlagsRule, extensibleTypeRule];
+
+/**
+ * Applies the first matching rule of a rule set (see `defaultRules`).
+ *
+ * @param {Array<Object|Function>} rules - The rule set
+ * @param {Object} definition - The parsed definition being normalized
+ * @param {Object} traits - The traits of the normalized type (modified in place)
+ * @returns {boolean} True if a rule applied
+ */
+function applyRules(rules, definition, traits) {
+    for (const rule of rules) {
+        if (typeof rule === 'function') {
+            if (rule(definition, traits)) {
+                return true;
+            }
+        } else if (Object.hasOwn(rule, definition.name)) {
+            Object.assign(traits, structuredClone(rule[definition.name]));
+            return true;
+        }
+    }
+    return false;
+}
+
 // ============================================================================
 // NORMALIZATION FUNCTIONS
 // ============================================================================
@@ -438,11 +1427,15 @@ function normalizeItem(definition, prefix) {
  *
  * This is the main entry point for normalizing parsed definitions into a
  * consistent, structured format suitable for code generation or analysis.
+ * Comments of the definition and its items are kept: leading comments as
+ * `description` and trailing comments as `comment`.
  *
  * @param {Object} definition - The parsed BACnet/BAClib ASN.1 definition to normalize
+ * @param {Array<Object|Function>} rules - The rule set for known types (see `defaultRules`)
+ * @param {number} [level=0] - Nesting level, 0 for top-level definitions
  * @returns {Object} The normalized definition with consistent structure
  */
-function normalizeDefinition(definition, level = 0) {
+function normalizeDefinition(definition, rules, level = 0) {
 
     // Normalize the item name; for top-level (level=0) remove "BACnet" prefix
     const result = normalizeItem(definition, level ? undefined : false);
@@ -463,14 +1456,14 @@ function normalizeDefinition(definition, level = 0) {
         case 'Real':
         case 'Double':
             if (definition.range) {
-                traits = { minimum: definition.range.min, maximum: definition.range.max };
+                traits = { minimum: normalizeLimit(definition.range.min), maximum: normalizeLimit(definition.range.max) };
             }
             break;
         case 'OctetString':
         case 'CharacterString':
             if (definition.size) {
-                const minimum = definition.size.min;
-                const maximum = definition.size.max;
+                const minimum = normalizeLimit(definition.size.min);
+                const maximum = normalizeLimit(definition.size.max);
                 traits = { length: minimum === maximum ? maximum : { minimum, maximum } };
             }
             break;
@@ -490,9 +1483,14 @@ function normalizeDefinition(definition, level = 0) {
             break;
     }
 
-    // Add series constraint for SEQUENCE OF types
-    if (definition.series) {
-        traits = { series: definition.series, ...traits };
+    // Add series constraint for SEQUENCE OF types: true, a fixed count,
+    // or a { minimum, maximum } range (shaped like `length`)
+    if (typeof definition.series === 'object') {
+        const minimum = normalizeLimit(definition.series.min);
+        const maximum = normalizeLimit(definition.series.max);
+        traits = { series: { minimum, maximum }, ...traits };
+    } else if (definition.series !== undefined) {
+        traits = { series: normalizeLimit(definition.series), ...traits };
     }
 
     if (definition.items?.length) {
@@ -506,10 +1504,16 @@ function normalizeDefinition(definition, level = 0) {
                 if (itemsNumber) {
                     // Simple types: just add the number (position/constant) and return
                     element[itemsNumber] = item.number;
+                    if (item.description) {
+                        element.description = item.description;
+                    }
+                    if (item.comment) {
+                        element.comment = item.comment;
+                    }
                     return element;
                 }
                 // Complex types: recursively normalize the item's type
-                element.type = normalizeDefinition(item, level + 1);
+                element.type = normalizeDefinition(item, rules, level + 1);
 
                 // Add context tag if defined
                 if (Number.isInteger(item.number) && item.number >= 0) {
@@ -520,126 +1524,213 @@ function normalizeDefinition(definition, level = 0) {
                 if (definition.type === 'SEQUENCE' && item.optional) {
                     element.optional = true;
                 }
+
+                // Keep the item's comments (shared with an inline type)
+                if (item.description) {
+                    element.description = item.description;
+                }
+                if (item.comment) {
+                    element.comment = item.comment;
+                }
                 return element;
             })
         };
-        // Apply special handling for known BACnet types
-        enhanceKnownTypes(definition, traits);
+    }
+
+    // Apply the first matching rule, e.g. for known BACnet types
+    const enhanced = { ...traits };
+    if (applyRules(rules, definition, enhanced)) {
+        traits = enhanced;
     }
 
     if (traits) {
         result.type = { base: result.type, ...traits };
     }
+    if (definition.description && !level) {
+        result.description = definition.description;
+    }
+    if (definition.comment && !level) {
+        result.comment = definition.comment;
+    }
     return level ? result.type : result;
 
 }
 
 /**
- * Enhances known BACnet types with additional constraints and proprietary ranges.
+ * Normalizes a top-level BACnet/BAClib ASN.1 definition, checking for predefined types first.
  *
- * This function applies special handling for well-known BACnet types that have
- * characteristics not fully captured in their ASN.1 definitions. It adds:
- * - Extended value ranges beyond what's in the ASN.1
- * - Proprietary value ranges reserved for vendor-specific extensions
- * - Minimum bit/value lengths for bit strings and service flags
+ * This is the main normalization function for processing parsed definitions.
+ * Checks if the definition matches a predefined type (loaded from JSON files).
+ * If found, returns the predefined version; otherwise, normalizes using the
+ * standard normalization process.
  *
- * The function modifies the `traits` object in place, adding or updating properties
- * like `maximum`, `length`, and `proprietary`.
+ * This two-tier approach allows predefined types to override parsed definitions,
+ * ensuring consistency with BACnet standard library types.
  *
- * Special Cases Handled:
- * - **BACnetEngineeringUnits**: Extends to 65535, defines proprietary ranges
- * - **BACnetPropertyIdentifier**: Extends to 4294967295, defines proprietary range
- * - **BACnetAuditOperationFlags**: Sets length based on highest bit position + proprietary
- * - **BACnetObjectTypesSupported**: Sets minimum 18 bits, max 1024, proprietary range
- * - **BACnetServicesSupported**: Sets minimum 35 bits, max 512
- * - **Extensible Enumerations**: Parses standard comment to extract proprietary ranges
- *
- * @param {Object} definition - The parsed ASN.1 definition being normalized
- * @param {string} definition.name - The type name (e.g., "BACnetEngineeringUnits")
- * @param {boolean} definition.extensible - True if the type is marked as extensible (...)
- * @param {string} [definition.comment] - ASN.1 comment that may contain range information
- * @param {Array} [definition.items] - Array of enumeration items (for bit position calculation)
- * @param {Object} traits - The traits object to enhance (modified in place)
- * @returns {boolean} True if the type was recognized and enhanced, false otherwise
- */
-function enhanceKnownTypes(definition, traits) {
-
-    switch (definition.name) {
-
-        case 'BACnetEngineeringUnits':
-            traits.maximum = 65535;
-            traits.proprietary = [
-                { from: 256, to: 47807 },
-                { from: 50000, to: 65535 }
-            ];
-            return true;
-        case 'BACnetPropertyIdentifier':
-            traits.maximum = 4294967295;
-            traits.proprietary = { from: 512, to: 4194303 }
-            return true;
-        case 'BACnetAuditOperationFlags':
-            traits.length = { minimum: Math.max(...definition.items.map(item => item.number)) + 1, maximum: 64 };
-            traits.proprietary = { from: 32, to: 63 };
-            return true;
-        case 'BACnetObjectTypesSupported':
-            traits.length = { minimum: 18, maximum: 1024 };
-            traits.proprietary = { from: 128, to: 1023 }
-            return true;
-        case 'BACnetServicesSupported':
-            traits.length = { minimum: 35, maximum: 512 };
-            return true;
-    }
-
-    // If not extensible, no proprietary ranges to add
-    if (!definition.extensible) {
-        return false;
-    }
-
-    // For extensible enumerations, try to extract range information from standard comment
-    if (definition.type === 'Enumerated') {
-
-        // Standard BACnet comment format:
-        // "Enumerated values 0-255 are reserved for definition by ASHRAE. Enumerated values 256-65535 may be used by others"
-        const regex = /^Enumerated values (\d+)-(\d+) are reserved for definition by ASHRAE\. Enumerated values (\d+)-(\d+) may be used by others/;
+ * Special cases that the ASN.1 does not express (e.g. the proprietary ranges
+ * of BACnetEngineeringUnits or of extensible enumerations) are added by rules,
+ * `defaultRules` unless a rule set is given.
+ *
+ * @param {Object} definition - The parsed, top-level BACnet/BAClib ASN.1 definition
+ * @param {Object} [options] - Normalization options
+ * @param {Array<Object|Function>} [options.rules=defaultRules] - Rule set for known types
+ *        (see `defaultRules`); e.g. `[vendorRules, ...defaultRules]` to extend or override the
+ *        default rules, `[]` to apply none
+ * @param {Map<string, Object>|Array<Object>} [options.predefined=predefinedTypes] - Predefined
+ *        types to check first, as a Map by original and BAClib name or as an array of definitions
+ * @returns {Object} The predefined type or normalized definition
+ */
+function normalize(definition, { rules = defaultRules, predefined = predefinedTypes } = {}) {
+    return indexPredefined(predefined).get(definition.name) || normalizeDefinition(definition, rules);
+}
 
-        // Normalize whitespace in comment before matching
-        const match = definition.comment?.replace(/\s+/g, ' ').match(regex);
-        if (match) {
+/**
+ * Item lists that make a normalized type a structure of its own.
+ *
+ * @type {Array<string>}
+ */
+const structureTraits = ['fields', 'options', 'values', 'bits'];
 
-            // Extract: [1]=ASHRAE min, [2]=ASHRAE max, [3]=proprietary min, [4]=proprietary max
-            const minimum = parseInt(match[1], 10);
-            if (minimum !== 0) {
-                traits.minimum = minimum;
+/**
+ * Replaces the inline structures of a normalized type by references to named types.
+ *
+ * Every field or option whose type has items of its own (an inline SEQUENCE,
+ * CHOICE, ENUMERATED or BIT STRING) becomes a reference to a new type named
+ * after its path, e.g. `event-parameter--change-of-value`. The new types are
+ * added to `hoisted` with their own inline structures hoisted first. A SEQUENCE
+ * OF an inline structure keeps its `series` on the reference. The given type is
+ * not modified.
+ *
+ * @param {string|Object} type - The normalized type
+ * @param {string} name - The BAClib name of the type
+ * @param {Array<Object>} hoisted - Receives the hoisted types
+ * @returns {string|Object} The type with references instead of inline structures
+ */
+function hoistStructures(type, name, hoisted) {
+    const itemsName = ['fields', 'options'].find(key => type?.[key]);
+    if (!itemsName) {
+        return type;
+    }
+    return {
+        ...type,
+        [itemsName]: type[itemsName].map(item => {
+            if (!structureTraits.some(key => item.type?.[key])) {
+                return item;
             }
-            traits.maximum = parseInt(match[4], 10);
+            const reference = `${name}--${item.name}`;
+            const { series, ...structure } = item.type;
+            hoisted.push({ name: reference, type: hoistStructures(structure, reference, hoisted) });
+            return { ...item, type: series === undefined ? reference : { base: reference, series } };
+        })
+    };
+}
 
-            // Proprietary range is from match[3] to match[4] inclusive
-            traits.proprietary = { from: parseInt(match[3], 10), to: parseInt(match[4], 10) };
-            return true;
+/**
+ * Lists the type names a normalized type refers to, in order of appearance.
+ *
+ * @param {string|Object|undefined} type - The normalized type
+ * @param {Array<string>} [names=[]] - Receives the names
+ * @returns {Array<string>} The referenced BAClib names (with duplicates)
+ */
+function referencedNames(type, names = []) {
+    if (typeof type === 'string') {
+        names.push(type);
+    } else if (type) {
+        names.push(type.base);
+        for (const item of type.fields ?? type.options ?? []) {
+            referencedNames(item.type, names);
         }
     }
+    return names;
+}
 
-    // Default (unknown) proprietary range (will be overridden if we can parse the comment)
-    traits.proprietary = { from: 1, to: 0 };
-    return true;
+/**
+ * Normalizes a complete set of parsed definitions in dependency order.
+ *
+ * Every definition is normalized with `normalize()`, and the results are
+ * ordered so that a type comes after the types of the set it refers to
+ * (types outside the set, like the predefined ones, are not ordered). The
+ * given order is kept where the references allow it; definitions that refer
+ * to each other in a cycle stay in the given order.
+ *
+ * With `options.hoist`, inline structures (SEQUENCE, CHOICE, ENUMERATED and
+ * BIT STRING types with items inside a field or option) are lifted into named
+ * top-level types and replaced by references, so that every structure is one
+ * flat, named type. The hoisted types are named after their path with '--',
+ * e.g. `event-parameter--change-of-value` for the `change-of-value` option of
+ * `BACnetEventParameter` (ASN.1 names cannot contain '--'), have no `alias`, and
+ * come before the type they were hoisted from.
+ *
+ * @example
+ * normalizeAll(parse('A ::= SEQUENCE { b [0] CHOICE { c [0] Real, d [1] Unsigned } }'), { hoist: true });
+ * // [
+ * //   { name: 'a--b', type: { base: 'choice', options: [...] } },
+ * //   { alias: 'A', name: 'a', type: { base: 'sequence', fields: [{ name: 'b', type: 'a--b', context: 0 }] } }
+ * // ]
+ *
+ * @param {Array<Object>} definitions - The parsed, top-level definitions
+ * @param {Object} [options] - Normalization options (see `normalize()`)
+ * @param {boolean} [options.hoist=false] - Lift inline structures into named top-level types
+ * @param {Array<Object|Function>} [options.rules=defaultRules] - Rule set for known types
+ * @param {Map<string, Object>|Array<Object>} [options.predefined=predefinedTypes] - Predefined types
+ * @returns {Array<Object>} The normalized definitions (and hoisted types) in dependency order
+ */
+function normalizeAll(definitions, { hoist = false, ...options } = {}) {
+    const normalized = [];
+    for (const definition of definitions) {
+        const result = normalize(definition, options);
+        const type = hoist ? hoistStructures(result.type, result.name, normalized) : result.type;
+        normalized.push(type === result.type ? result : { ...result, type });
+    }
+
+    // Depth-first post-order from each definition in turn; the first definition of a name wins
+    const indexes = new Map();
+    normalized.forEach((definition, index) => indexes.set(definition.name, indexes.get(definition.name) ?? index));
+    const visited = new Set();
+    const ordered = [];
+    const visit = index => {
+        if (visited.has(index)) {
+            return;
+        }
+        visited.add(index);
+        for (const name of referencedNames(normalized[index].type)) {
+            if (indexes.has(name)) {
+                visit(indexes.get(name));
+            }
+        }
+        ordered.push(normalized[index]);
+    };
+    normalized.forEach((definition, index) => visit(index));
+    return ordered;
 }
 
 /**
- * Normalizes a top-level BACnet/BAClib ASN.1 definition, checking for predefined types first.
+ * Creates a parser bound to a library of predefined types and a rule set.
  *
- * This is the main normalization function for processing parsed definitions.
- * Checks if the definition matches a predefined type (loaded from JSON files).
- * If found, returns the predefined version; otherwise, normalizes using the
- * standard normalization process.
+ * The returned `normalize()` and `normalizeAll()` check the given predefined
+ * types instead of the built-in ones (and apply the given rules unless others
+ * are passed), e.g. for a vendor library that adds or replaces predefined
+ * types. `parse()` does not depend on the predefined types and is the module
+ * function.
  *
- * This two-tier approach allows predefined types to override parsed definitions,
- * ensuring consistency with BACnet standard library types.
+ * @example
+ * const { normalize } = createParser({ predefined: [...predefinedTypes.values(), vendorType] });
  *
- * @param {Object} definition - The parsed, top-level BACnet/BAClib ASN.1 definition
- * @returns {Object} The predefined type or normalized definition
+ * @param {Object} [options] - Parser options
+ * @param {Map<string, Object>|Array<Object>} [options.predefined=predefinedTypes] - Predefined
+ *        types as a Map by original and BAClib name or as an array of definitions
+ * @param {Array<Object|Function>} [options.rules=defaultRules] - Default rule set of `normalize()`
+ * @returns {{parse: Function, normalize: Function, normalizeAll: Function, predefinedTypes: Map<string, Object>}}
+ *          The parser functions and the predefined types by original and BAClib name
  */
-function normalize(definition) {
-    return predefinedTypes.get(definition.name) || normalizeDefinition(definition);
+function createParser({ predefined = predefinedTypes, rules = defaultRules } = {}) {
+    const types = indexPredefined(predefined);
+    return {
+        parse,
+        normalize: (definition, options = {}) => normalize(definition, { rules, ...options, predefined: types }),
+        normalizeAll: (definitions, options = {}) => normalizeAll(definitions, { rules, ...options, predefined: types }),
+        predefinedTypes: types
+    };
 }
 
 // ============================================================================
@@ -656,14 +1747,23 @@ function normalize(definition) {
  * - ParserError: Custom error class with line number tracking
  * - parse: Function to parse ASN.1 content into definition objects
  * - normalize: Function to normalize definitions with predefined type support
- * - predefinedTypes: Map of predefined BACnet types loaded from JSON files
+ * - normalizeAll: Function to normalize a set of definitions in dependency order, optionally hoisting
+ *   inline structures into named types
+ * - createParser: Factory binding parse and normalize to other predefined types
+ * - defaultRules: Rules for known types applied by normalize (extensible or replaceable)
+ * - predefinedTypes: Map of the built-in predefined BACnet types (the default)
+ *
+ * The module has no file system dependency and can be bundled for the browser.
  *
  * The parser supports the full range of BACnet ASN.1 constructs including
  * primitive types, sequences, choices, enumerations, bit strings, constraints,
  * and extensibility markers.
  */
 export {
+    createParser,
+    defaultRules,
     normalize,
+    normalizeAll,
     ParserError,
     parse,
     predefinedTypes
@@ -0,0 +1,297 @@
+// SPDX-FileCopyrightText: Copyright 2024-2026, The BAClib Initiative and Contributors
+// SPDX-License-Identifier: EPL-2.0
+
+/**
+ * @fileoverview Generates JSON Schema (draft 2020-12) from normalized definitions.
+ *
+ * Every named type becomes an entry in `$defs`, and type references become
+ * `$ref` links, so a single schema document describes a complete set of
+ * definitions. Referenced predefined types are added to `$defs` as well.
+ *
+ * The schemas describe the JSON form of BACnet values used by the codec:
+ * numbers for Unsigned, Integer, Real and Double, hexadecimal strings for
+ * Octet Strings, value names for ENUMERATED, arrays of set bit names for
+ * named BIT STRINGs, objects for SEQUENCE and single-property objects for
+ * CHOICE. Extensible enumerations and bit strings also accept numbers in
+ * their `proprietary` range.
+ *
+ * Usage:
+ *   import { parse, normalize } from './index.js';
+ *   import { toJsonSchema } from './json-schema.js';
+ *   const schema = toJsonSchema(parse(content).map(normalize));
+ */
+import { predefinedTypes } from './index.js';
+
+/**
+ * Schemas of the predefined primitives and constructions by `primitive` number.
+ *
+ * @type {Map<number, Object>}
+ */
+const primitiveSchemas = new Map([
+    [0, { type: 'null' }],
+    [1, { type: 'boolean' }],
+    [2, { type: 'integer', minimum: 0 }],
+    [3, { type: 'integer' }],
+    [4, { type: 'number' }],
+    [5, { type: 'number' }],
+    [6, { type: 'string', pattern: '^([0-9A-Fa-f]{2})*$' }],
+    [7, { type: 'string' }],
+    [8, { type: 'array', items: { type: 'boolean' } }],
+    [9, { type: 'integer', minimum: 0 }],
+    [10, dateTimeSchema({ year: [1900, 2154], month: [1, 14], day: [1, 34], weekday: [1, 7] })],
+    [11, dateTimeSchema({ hour: [0, 23], minute: [0, 59], second: [0, 59], hundredths: [0, 99] })],
+    [12, objectSchema({
+        type: { type: 'integer', minimum: 0, maximum: 1023 },
+        instance: { type: 'integer', minimum: 0, maximum: 4194303 }
+    })],
+    [-1, {}],
+    [-2, { type: 'object' }],
+    [-3, { type: 'object' }],
+    [-4, { type: 'array' }]
+]);
+
+/**
+ * Generates a JSON Schema document for normalized definitions.
+ *
+ * @param {Object|Array<Object>} definitions - Normalized definition(s) as returned by `normalize()`
+ * @param {Object} [options] - Generation options
+ * @param {string} [options.root] - BAClib name of a definition the document itself refers to
+ * @param {Map<string, Object>|Array<Object>} [options.predefined=predefinedTypes] - Predefined types
+ *        the definitions were normalized with, as a Map by original and BAClib name or as an array
+ * @returns {Object} The schema document with `$schema`, `$defs` and (with `root`) `$ref`
+ * @throws {Error} If a referenced type is neither among the definitions nor predefined
+ */
+export function toJsonSchema(definitions, { root, predefined = predefinedTypes } = {}) {
+    definitions = Array.isArray(definitions) ? definitions : [definitions];
+    const byName = new Map(definitions.map(definition => [definition.name, definition]));
+    const predefinedByName = predefined instanceof Map
+        ? predefined
+        : new Map(Array.from(predefined, definition => [definition.name, definition]));
+    const $defs = {};
+
+    /**
+     * Looks up a definition by BAClib name among the definitions and predefined types.
+     */
+    const lookup = name => {
+        const definition = byName.get(name) ?? predefinedByName.get(name);
+        if (!definition) {
+            throw new Error(`Type '${name}' is not defined`);
+        }
+        return definition;
+    };
+
+    /**
+     * Adds a named type to `$defs` (once) and returns a reference to it.
+     */
+    const reference = name => {
+        const definition = lookup(name);
+        if (!(definition.name in $defs)) {
+            $defs[definition.name] = {};
+            Object.assign($defs[definition.name], definitionSchema(definition));
+        }
+        return { $ref: `#/$defs/${definition.name}` };
+    };
+
+    /**
+     * Returns the primitive number a type eventually refers to.
+     */
+    const primitiveOf = (type, visited = []) => {
+        if (typeof type !== 'string') {
+            return type.series !== undefined ? -4 : primitiveOf(type.base, visited);
+        }
+        if (visited.includes(type)) {
+            throw new Error(`Alias cycle: ${[...visited, type].join(' -> ')}`);
+        }
+        const definition = lookup(type);
+        return definition.type === undefined ? definition.primitive : primitiveOf(definition.type, [...visited, type]);
+    };
+
+    /**
+     * Creates the schema of a named definition.
+     */
+    const definitionSchema = definition => {
+        const schema = {};
+        if (definition.alias) {
+            schema.title = definition.alias;
+        }
+        if (definition.description || definition.comment) {
+            schema.description = documentation(definition);
+        }
+        if (definition.type === undefined) {
+            return { ...schema, ...structuredClone(primitiveSchemas.get(definition.primitive)) };
+        }
+        return { ...schema, ...typeSchema(definition.type) };
+    };
+
+    /**
+     * Creates the schema of a normalized type (a name or type object).
+     */
+    const typeSchema = type => {
+        if (typeof type === 'string') {
+            return reference(type);
+        }
+
+        const { series, ...element } = type;
+        if (series !== undefined) {
+            const schema = { type: 'array', items: typeSchema(element) };
+            const { minimum, maximum } = typeof series === 'object' ? series : { minimum: series, maximum: series };
+            if (typeof minimum === 'number' && minimum > 0) {
+                schema.minItems = minimum;
+            }
+            if (typeof maximum === 'number') {
+                schema.maxItems = maximum;
+            }
+            return schema;
+        }
+
+        if (type.values) {
+            return enumerationSchema(type);
+        }
+        if (type.bits) {
+            return bitsSchema(type);
+        }
+        if (type.fields) {
+            const required = type.fields.filter(field => !field.optional).map(field => field.name);
+            return objectSchema(Object.fromEntries(type.fields.map(field => [field.name, itemSchema(field)])), required);
+        }
+        if (type.options) {
+            return {
+                oneOf: type.options.map(option => objectSchema({ [option.name]: itemSchema(option) }))
+            };
+        }
+
+        return { ...reference(type.base), ...constraints(type, primitiveOf(type.base)) };
+    };
+
+    /**
+     * Creates the schema of a field or option.
+     */
+    const itemSchema = item => {
+        const schema = typeSchema(item.type);
+        if (item.description || item.comment) {
+            schema.description = documentation(item);
+        }
+        return schema;
+    };
+
+    for (const definition of definitions) {
+        reference(definition.name);
+    }
+    if (root !== undefined) {
+        reference(root);
+    }
+
+    const document = { $schema: 'https://json-schema.org/draft/2020-12/schema' };
+    if (root !== undefined) {
+        document.$ref = `#/$defs/${root}`;
+    }
+    document.$defs = $defs;
+    return document;
+}
+
+/**
+ * Joins the description (leading comments) and the comment of a definition or item.
+ *
+ * @param {Object} documented - Normalized definition, field or option
+ * @returns {string} The schema description
+ */
+function documentation({ description, comment }) {
+    return [description, comment].filter(Boolean).join('\n');
+}
+
+/**
+ * Maps `minimum`, `maximum` and `length` of a type to JSON Schema keywords.
+ *
+ * @param {Object} type - Normalized type object
+ * @param {number} primitive - Primitive number of the type's base
+ * @returns {Object} The schema keywords
+ */
+function constraints(type, primitive) {
+    const schema = {};
+    for (const key of ['minimum', 'maximum']) {
+        if (type[key] !== undefined && Number.isFinite(Number(type[key]))) {
+            schema[key] = Number(type[key]);
+        }
+    }
+
+    if (type.length !== undefined) {
+        const { minimum, maximum } = typeof type.length === 'object'
+            ? type.length
+            : { minimum: type.length, maximum: type.length };
+        // Octet strings are written as two hexadecimal digits per octet
+        const factor = primitive === 6 ? 2 : 1;
+        const [minKey, maxKey] = primitive === 8 ? ['minItems', 'maxItems'] : ['minLength', 'maxLength'];
+        if (minimum > 0) {
+            schema[minKey] = minimum * factor;
+        }
+        if (maximum !== undefined && Number.isFinite(maximum)) {
+            schema[maxKey] = maximum * factor;
+        }
+    }
+    return schema;
+}
+
+/**
+ * Creates the schema of an enumeration: one of the value names, or a number
+ * in the proprietary range if the enumeration is extensible.
+ *
+ * @param {Object} type - Normalized type object with `values`
+ * @returns {Object} The schema
+ */
+function enumerationSchema(type) {
+    const names = { enum: type.values.map(value => value.name) };
+    const ranges = proprietaryRanges(type);
+    return ranges.length ? { anyOf: [names, ...ranges] } : names;
+}
+
+/**
+ * Creates the schema of a named bit string: the names of the set bits, or
+ * positions in the proprietary range if the bit string is extensible.
+ *
+ * @param {Object} type - Normalized type object with `bits`
+ * @returns {Object} The schema
+ */
+function bitsSchema(type) {
+    const names = { enum: type.bits.map(bit => bit.name) };
+    const ranges = proprietaryRanges(type);
+    return { type: 'array', items: ranges.length ? { anyOf: [names, ...ranges] } : names, uniqueItems: true };
+}
+
+/**
+ * Returns integer schemas for the (non-empty) proprietary ranges of a type.
+ *
+ * @param {Object} type - Normalized type object
+ * @returns {Array<Object>} Integer schemas with minimum and maximum
+ */
+function proprietaryRanges(type) {
+    return [type.proprietary ?? []].flat()
+        .filter(range => range.from <= range.to)
+        .map(range => ({ type: 'integer', minimum: range.from, maximum: range.to }));
+}
+
+/**
+ * Creates the schema of an object with the given properties.
+ *
+ * @param {Object<string, Object>} properties - Property schemas
+ * @param {Array<string>} [required] - Required property names (all by default)
+ * @returns {Object} The schema
+ */
+function objectSchema(properties, required = Object.keys(properties)) {
+    const schema = { type: 'object', properties };
+    if (required.length) {
+        schema.required = required;
+    }
+    schema.additionalProperties = false;
+    return schema;
+}
+
+/**
+ * Creates the schema of a date or time, whose parts are integers or null (unspecified).
+ *
+ * @param {Object<string, Array<number>>} parts - Minimum and maximum by part name
+ * @returns {Object} The schema
+ */
+function dateTimeSchema(parts) {
+    return objectSchema(Object.fromEntries(Object.entries(parts).map(([name, [minimum, maximum]]) =>
+        [name, { type: ['integer', 'null'], minimum, maximum }])));
+}
@@ -0,0 +1,411 @@
+// SPDX-FileCopyrightText: Copyright 2024-2026, The BAClib Initiative and Contributors
+// SPDX-License-Identifier: EPL-2.0
+
+/**
+ * @fileoverview Language Server Protocol (LSP) server for BACnet ASN.1 files.
+ *
+ * Implements the `bacnet-asn1-lsp` command (see `bin/bacnet-asn1-lsp.js`),
+ * which editors such as VS Code or Neovim start and talk to over standard
+ * input and output. Every open document is parsed with `parse()` on each change:
+ *
+ * - Diagnostics: ParserErrors (all of them, in recovery mode)
+ * - Go to definition and find references for type names
+ * - Hover: the BAClib name and the normalized definition, or the `predefinedTypes` entry
+ * - Completion of type names (defined and predefined) and ASN.1 keywords
+ * - Document symbols: an outline of the definitions and their items
+ *
+ * Definitions and references are looked up in all open documents. Documents
+ * are synchronized in full (no incremental changes).
+ *
+ * The protocol handling is independent of streams: `createLanguageServer()`
+ * takes decoded messages and `createMessageReader()` decodes the
+ * `Content-Length` framing, so that a scripted client can drive the server
+ * without spawning a process.
+ *
+ * Usage:
+ *   import { listen } from './language-server.js';
+ *   listen(process.stdin, process.stdout).then(code => process.exit(code));
+ */
+import { isDeepStrictEqual } from 'node:util';
+import { parse, normalize, predefinedTypes } from './index.js';
+
+/**
+ * ASN.1 keywords offered for completion.
+ *
+ * @type {Array<string>}
+ */
+const keywords = [
+    'ABSTRACT-SYNTAX.&Type', 'APPLICATION', 'BIT STRING', 'CHOICE', 'ENUMERATED', 'MAX', 'MIN',
+    'OCTET STRING', 'OF', 'OPTIONAL', 'SEQUENCE', 'SEQUENCE OF', 'SIZE'
+];
+
+// Constants of the protocol used by the server
+const DiagnosticSeverity = { Error: 1 };
+const CompletionItemKind = { Class: 7, Keyword: 14 };
+const SymbolKind = { Class: 5, Field: 8, Enum: 10, Struct: 23, EnumMember: 22 };
+const ErrorCodes = { ParseError: -32700, InvalidRequest: -32600, MethodNotFound: -32601, InternalError: -32603 };
+
+/**
+ * A type or item name in a line of ASN.1 text (names never contain '--').
+ *
+ * @type {RegExp}
+ */
+const namePattern = /[A-Za-z][0-9A-Za-z]*(?:-[0-9A-Za-z]+)*/g;
+
+/**
+ * Creates a language server.
+ *
+ * @param {Object} io - Output functions
+ * @param {function(Object)} io.send - Sends a response or notification to the client
+ * @param {function(number)} [io.exit] - Called with the exit code on the 'exit' notification
+ *        (0 after a 'shutdown' request, 1 otherwise)
+ * @returns {{receive: function(Object), documents: Map<string, Object>}} The server:
+ *          `receive(message)` handles a request or notification from the client,
+ *          `documents` holds the open documents by URI
+ */
+export function createLanguageServer({ send, exit = () => {} }) {
+    const documents = new Map();
+    let isShutDown = false;
+
+    const requests = {
+        'initialize': () => ({
+            capabilities: {
+                textDocumentSync: 1,
+                definitionProvider: true,
+                referencesProvider: true,
+                hoverProvider: true,
+                completionProvider: {},
+                documentSymbolProvider: true
+            },
+            serverInfo: { name: 'bacnet-asn1-lsp' }
+        }),
+        'shutdown': () => {
+            isShutDown = true;
+            return null;
+        },
+        'textDocument/definition': ({ textDocument, position }) => {
+            const name = typeNameAt(documents.get(textDocument.uri), position);
+            const found = name && findDefinition(documents, name);
+            return found ? { uri: found.uri, range: nameRange(found.definition) } : null;
+        },
+        'textDocument/references': ({ textDocument, position, context }) => {
+            const name = typeNameAt(documents.get(textDocument.uri), position);
+            if (!name) {
+                return null;
+            }
+            const declaration = findDefinition(documents, name);
+            const declared = declaration && nameRange(declaration.definition).start;
+            return findReferences(documents, name).filter(({ uri, range }) => context?.includeDeclaration
+                || uri !== declaration?.uri || !isDeepStrictEqual(range.start, declared));
+        },
+        'textDocument/hover': ({ textDocument, position }) => {
+            const name = typeNameAt(documents.get(textDocument.uri), position);
+            const contents = name && describe(documents, name);
+            return contents ? { contents: { kind: 'markdown', value: contents } } : null;
+        },
+        'textDocument/completion': () => completions(documents),
+        'textDocument/documentSymbol': ({ textDocument }) =>
+            (documents.get(textDocument.uri)?.definitions ?? []).map(definition => symbol(definition, true))
+    };
+
+    const notifications = {
+        'textDocument/didOpen': ({ textDocument }) => update(textDocument.uri, textDocument.text),
+        'textDocument/didChange': ({ textDocument, contentChanges }) =>
+            update(textDocument.uri, contentChanges.at(-1).text),
+        'textDocument/didClose': ({ textDocument }) => {
+            documents.delete(textDocument.uri);
+            send({ jsonrpc: '2.0', method: 'textDocument/publishDiagnostics', params: { uri: textDocument.uri, diagnostics: [] } });
+        },
+        'exit': () => exit(isShutDown ? 0 : 1)
+    };
+
+    /**
+     * Parses a document and publishes its diagnostics.
+     */
+    function update(uri, text) {
+        const { definitions, errors } = parse(text, { locations: true, recover: true, modules: true });
+        const lines = text.split(/\r\n|\r|\n/);
+        // Names are looked up in the lines with the comments blanked out
+        const code = blankComments(text).split(/\r\n|\r|\n/);
+        documents.set(uri, { text, code, definitions });
+        const diagnostics = errors.map(error => ({
+            range: tokenRange(lines, error.line - 1, error.column - 1),
+            severity: DiagnosticSeverity.Error,
+            code: error.code,
+            source: 'bacnet-asn1',
+            message: error.message
+        }));
+        send({ jsonrpc: '2.0', method: 'textDocument/publishDiagnostics', params: { uri, diagnostics } });
+    }
+
+    /**
+     * Handles a request (answered with a response) or a notification from the client.
+     */
+    function receive(message) {
+        const { id, method, params } = message;
+        if (id === undefined) {
+            // Unknown notifications (e.g. 'initialized' or '$/cancelRequest') are ignored
+            notifications[method]?.(params);
+            return;
+        }
+        if (isShutDown || !requests[method]) {
+            const error = isShutDown
+                ? { code: ErrorCodes.InvalidRequest, message: 'Server is shut down' }
+                : { code: ErrorCodes.MethodNotFound, message: `Unsupported method '${method}'` };
+            send({ jsonrpc: '2.0', id, error });
+            return;
+        }
+        try {
+            send({ jsonrpc: '2.0', id, result: requests[method](params) });
+        } catch (error) {
+            send({ jsonrpc: '2.0', id, error: { code: ErrorCodes.InternalError, message: error.message } });
+        }
+    }
+
+    return { receive, documents };
+}
+
+/**
+ * Creates a decoder for the `Content-Length` framing of LSP messages.
+ *
+ * A malformed frame does not end the session: a header without a valid
+ * `Content-Length` is skipped, and a body that is not valid JSON is passed to
+ * `onInvalid`, so that the server can answer with a ParseError.
+ *
+ * @param {function(Object)} onMessage - Called with each decoded message
+ * @param {function(SyntaxError)} [onInvalid] - Called for each body that is not valid JSON
+ * @returns {function(Buffer|string)} Accepts the next chunk of input; a message
+ *          may be split across chunks and a chunk may hold several messages
+ */
+export function createMessageReader(onMessage, onInvalid = () => {}) {
+    let buffer = Buffer.alloc(0);
+    return chunk => {
+        buffer = Buffer.concat([buffer, Buffer.from(chunk)]);
+        for (;;) {
+            const headerEnd = buffer.indexOf('\r\n\r\n');
+            if (headerEnd < 0) {
+                return;
+            }
+            const length = Number(/^Content-Length:\s*(\d+)/im.exec(buffer.subarray(0, headerEnd).toString('ascii'))?.[1]);
+            const bodyStart = headerEnd + 4;
+            if (Number.isNaN(length)) {
+                buffer = buffer.subarray(bodyStart);
+                continue;
+            }
+            if (buffer.length < bodyStart + length) {
+                return;
+            }
+            const body = buffer.subarray(bodyStart, bodyStart + length).toString('utf8');
+            buffer = buffer.subarray(bodyStart + length);
+            let message;
+            try {
+                message = JSON.parse(body);
+            } catch (error) {
+                onInvalid(error);
+                continue;
+            }
+            onMessage(message);
+        }
+    };
+}
+
+/**
+ * Encodes an LSP message with its `Content-Length` header.
+ *
+ * @param {Object} message - The message
+ * @returns {string} The framed message
+ */
+export function formatMessage(message) {
+    const body = JSON.stringify(message);
+    return `Content-Length: ${Buffer.byteLength(body, 'utf8')}\r\n\r\n${body}`;
+}
+
+/**
+ * Runs a language server on a pair of streams (standard input and output for editors).
+ *
+ * @param {stream.Readable} input - Stream of framed client messages
+ * @param {stream.Writable} output - Stream for framed server messages
+ * @returns {Promise<number>} The exit code, once the client sends 'exit' or closes the input
+ */
+export function listen(input, output) {
+    return new Promise(resolve => {
+        const server = createLanguageServer({
+            send: message => output.write(formatMessage(message)),
+            exit: resolve
+        });
+        input.on('data', createMessageReader(message => server.receive(message), error => output.write(formatMessage({
+            jsonrpc: '2.0', id: null, error: { code: ErrorCodes.ParseError, message: `Parse error: ${error.message}` }
+        }))));
+        input.on('end', () => resolve(1));
+    });
+}
+
+// ============================================================================
+// DOCUMENT QUERIES
+// ============================================================================
+
+/**
+ * Returns the type name at an LSP position, ignoring item names and comments.
+ */
+function typeNameAt(document, { line, character }) {
+    const text = document?.code[line] ?? '';
+    for (const match of text.matchAll(namePattern)) {
+        if (match.index <= character && character <= match.index + match[0].length) {
+            return /^[A-Z]/.test(match[0]) ? match[0] : undefined;
+        }
+    }
+    return undefined;
+}
+
+/**
+ * Replaces the comments (-- to the end of the line and nested /* *\/ blocks)
+ * by spaces, keeping the line breaks, so that positions are unchanged.
+ */
+function blankComments(text) {
+    const code = text.split('');
+    let depth = 0;
+    for (let index = 0; index < text.length; index++) {
+        if (!depth && text.startsWith('--', index)) {
+            for (; index < text.length && text[index] !== '\n' && text[index] !== '\r'; index++) {
+                code[index] = ' ';
+            }
+        } else if (text.startsWith('/*', index) || (depth && text.startsWith('*/', index))) {
+            depth += text[index] === '/' ? 1 : -1;
+            code[index] = code[index + 1] = ' ';
+            index++;
+        } else if (depth && text[index] !== '\n' && text[index] !== '\r') {
+            code[index] = ' ';
+        }
+    }
+    return code.join('');
+}
+
+/**
+ * Finds the definition of a type name in the open documents.
+ *
+ * @returns {{uri: string, definition: Object}|undefined} The first definition found
+ */
+function findDefinition(documents, name) {
+    for (const [uri, document] of documents) {
+        const definition = document.definitions.find(definition => definition.name === name);
+        if (definition) {
+            return { uri, definition };
+        }
+    }
+    return undefined;
+}
+
+/**
+ * Finds all occurrences of a type name outside comments in the open documents.
+ *
+ * @returns {Array<Object>} LSP locations
+ */
+function findReferences(documents, name) {
+    const locations = [];
+    for (const [uri, document] of documents) {
+        document.code.forEach((text, line) => {
+            for (const match of text.matchAll(namePattern)) {
+                if (match[0] === name) {
+                    const range = { start: { line, character: match.index }, end: { line, character: match.index + name.length } };
+                    locations.push({ uri, range });
+                }
+            }
+        });
+    }
+    return locations;
+}
+
+/**
+ * Describes a type name as Markdown: the BAClib name and the normalized
+ * definition for defined types, the `predefinedTypes` entry for predefined ones.
+ *
+ * @returns {string|undefined} The hover text, undefined for unknown names
+ */
+function describe(documents, name) {
+    const definition = findDefinition(documents, name)?.definition;
+    if (definition) {
+        const normalized = normalize(definition);
+        return [
+            `**${name}** → \`${normalized.name}\``,
+            ...[definition.description, definition.comment].filter(Boolean),
+            codeBlock(normalized)
+        ].join('\n\n');
+    }
+    const predefined = predefinedTypes.get(name);
+    if (predefined) {
+        return [`**${name}** → \`${predefined.name}\` (predefined)`, codeBlock(predefined)].join('\n\n');
+    }
+    return undefined;
+}
+
+/**
+ * Formats a value as a JSON code block.
+ */
+function codeBlock(value) {
+    return '```json\n' + JSON.stringify(value, null, 4) + '\n```';
+}
+
+/**
+ * Lists the completion items: defined and predefined type names and keywords.
+ *
+ * @returns {Array<Object>} LSP completion items
+ */
+function completions(documents) {
+    const items = new Map();
+    for (const document of documents.values()) {
+        for (const definition of document.definitions) {
+            items.set(definition.name, { label: definition.name, kind: CompletionItemKind.Class, detail: definition.type });
+        }
+    }
+    for (const [key, type] of predefinedTypes) {
+        if (key === type.alias && !items.has(key)) {
+            items.set(key, { label: key, kind: CompletionItemKind.Class, detail: `predefined ${type.name}` });
+        }
+    }
+    for (const keyword of keywords) {
+        items.set(keyword, { label: keyword, kind: CompletionItemKind.Keyword });
+    }
+    return [...items.values()];
+}
+
+/**
+ * Converts a parsed definition or item into an LSP document symbol with its items as children.
+ */
+function symbol(item, isDefinition) {
+    const isValue = ['BitString', 'Enumerated'].includes(item.type);
+    const kind = isDefinition
+        ? (isValue ? SymbolKind.Enum : ['SEQUENCE', 'CHOICE'].includes(item.type) ? SymbolKind.Struct : SymbolKind.Class)
+        : (item.type === undefined ? SymbolKind.EnumMember : SymbolKind.Field);
+    return {
+        name: item.name,
+        detail: item.type ?? `(${item.number})`,
+        kind,
+        range: { start: toPosition(item.location.start), end: toPosition(item.location.end) },
+        selectionRange: nameRange(item),
+        children: (item.items ?? []).map(child => symbol(child, false))
+    };
+}
+
+/**
+ * Returns the LSP range of the name of a parsed definition or item.
+ */
+function nameRange(item) {
+    const start = toPosition(item.location.start);
+    return { start, end: { line: start.line, character: start.character + item.name.length } };
+}
+
+/**
+ * Converts a parser source position (1-based) into an LSP position (0-based).
+ */
+function toPosition({ line, column }) {
+    return { line: line - 1, character: column - 1 };
+}
+
+/**
+ * Returns the LSP range of the token at a position (for diagnostics), like
+ * the token reported as found by the ParserError.
+ */
+function tokenRange(lines, line, character) {
+    const token = /^(?:[A-Za-z][0-9A-Za-z-]*|\d+(?:\.\d+)?|[([][^()[\]\n]{0,20}[)\]]?|\S)?/.exec((lines[line] ?? '').slice(character))[0];
+    return { start: { line, character }, end: { line, character: character + token.length } };
+}
@@ -0,0 +1,277 @@
+// SPDX-FileCopyrightText: Copyright 2024-2026, The BAClib Initiative and Contributors
+// SPDX-License-Identifier: EPL-2.0
+
+/**
+ * @fileoverview Predefined BACnet/BAClib type definitions.
+ *
+ * Generated by `npm run regenerate` (src/generate-predefined.js) together with
+ * the JSON files in `../predefined/`. Do not edit.
+ */
+
+/**
+ * The predefined type definitions in the order of predefined-abstract.json.
+ *
+ * @type {Array<Object>}
+ */
+export const predefinedDefinitions = [
+    {
+        "alias": "Null",
+        "name": "null",
+        "primitive": 0
+    },
+    {
+        "alias": "Boolean",
+        "name": "boolean",
+        "primitive": 1
+    },
+    {
+        "alias": "Unsigned",
+        "name": "unsigned",
+        "primitive": 2
+    },
+    {
+        "alias": "Unsigned8",
+        "name": "unsigned-8",
+        "type": {
+            "base": "unsigned",
+            "minimum": 0,
+            "maximum": 255
+        }
+    },
+    {
+        "alias": "Unsigned16",
+        "name": "unsigned-16",
+        "type": {
+            "base": "unsigned",
+            "minimum": 0,
+            "maximum": 65535
+        }
+    },
+    {
+        "alias": "Unsigned32",
+        "name": "unsigned-32",
+        "type": {
+            "base": "unsigned",
+            "minimum": 0,
+            "maximum": 4294967295
+        }
+    },
+    {
+        "alias": "Unsigned64",
+        "name": "unsigned-64",
+        "type": {
+            "base": "unsigned",
+            "minimum": 0,
+            "maximum": "18446744073709551615"
+        }
+    },
+    {
+        "alias": "Integer",
+        "name": "integer",
+        "primitive": 3
+    },
+    {
+        "alias": "Integer8",
+        "name": "integer-8",
+        "type": {
+            "base": "integer",
+            "minimum": -128,
+            "maximum": 127
+        }
+    },
+    {
+        "alias": "Integer16",
+        "name": "integer-16",
+        "type": {
+            "base": "integer",
+            "minimum": -32768,
+            "maximum": 32767
+        }
+    },
+    {
+        "alias": "Integer32",
+        "name": "integer-32",
+        "type": {
+            "base": "integer",
+            "minimum": -2147483648,
+            "maximum": 2147483647
+        }
+    },
+    {
+        "alias": "Integer64",
+        "name": "integer-64",
+        "type": {
+            "base": "integer",
+            "minimum": "-9223372036854775808",
+            "maximum": "9223372036854775807"
+        }
+    },
+    {
+        "alias": "Real",
+        "name": "real",
+        "primitive": 4
+    },
+    {
+        "alias": "Double",
+        "name": "double",
+        "primitive": 5
+    },
+    {
+        "alias": "OctetString",
+        "name": "octet-string",
+        "primitive": 6
+    },
+    {
+        "alias": "CharacterString",
+        "name": "character-string",
+        "primitive": 7
+    },
+    {
+        "alias": "String",
+        "name": "string",
+        "type": "character-string"
+    },
+    {
+        "alias": "BitString",
+        "name": "bit-string",
+        "primitive": 8
+    },
+    {
+        "alias": "BitString8",
+        "name": "bit-string-8",
+        "type": {
+            "base": "bit-string",
+            "length": {
+                "minimum": 0,
+                "maximum": 8
+            }
+        }
+    },
+    {
+        "alias": "BitString16",
+        "name": "bit-string-16",
+        "type": {
+            "base": "bit-string",
+            "length": {
+                "minimum": 0,
+                "maximum": 16
+            }
+        }
+    },
+    {
+        "alias": "BitString32",
+        "name": "bit-string-32",
+        "type": {
+            "base": "bit-string",
+            "length": {
+                "minimum": 0,
+                "maximum": 32
+            }
+        }
+    },
+    {
+        "alias": "BitString64",
+        "name": "bit-string-64",
+        "type": {
+            "base": "bit-string",
+            "length": {
+                "minimum": 0,
+                "maximum": 64
+            }
+        }
+    },
+    {
+        "alias": "Enumerated",
+        "name": "enumerated",
+        "primitive": 9
+    },
+    {
+        "alias": "Enumerated8",
+        "name": "enumerated-8",
+        "type": {
+            "base": "enumerated",
+            "minimum": 0,
+            "maximum": 255
+        }
+    },
+    {
+        "alias": "Enumerated16",
+        "name": "enumerated-16",
+        "type": {
+            "base": "enumerated",
+            "minimum": 0,
+            "maximum": 65535
+        }
+    },
+    {
+        "alias": "Enumerated32",
+        "name": "enumerated-32",
+        "type": {
+            "base": "enumerated",
+            "minimum": 0,
+            "maximum": 4294967295
+        }
+    },
+    {
+        "alias": "Enumerated64",
+        "name": "enumerated-64",
+        "type": {
+            "base": "enumerated",
+            "minimum": 0,
+            "maximum": "18446744073709551615"
+        }
+    },
+    {
+        "alias": "DatePattern",
+        "name": "date-pattern",
+        "primitive": 10
+    },
+    {
+        "alias": "Date",
+        "name": "date",
+        "type": "date-pattern"
+    },
+    {
+        "alias": "TimePattern",
+        "name": "time-pattern",
+        "primitive": 11
+    },
+    {
+        "alias": "Time",
+        "name": "time",
+        "type": "time-pattern"
+    },
+    {
+        "alias": "BACnetObjectIdentifier",
+        "name": "object-identifier",
+        "primitive": 12
+    },
+    {
+        "alias": "ANY",
+        "name": "any",
+        "primitive": -1
+    },
+    {
+        "alias": "CHOICE",
+        "name": "choice",
+        "primitive": -2
+    },
+    {
+        "alias": "SEQUENCE",
+        "name": "sequence",
+        "primitive": -3
+    },
+    {
+        "alias": "SEQUENCE OF",
+        "name": "sequence-of",
+        "primitive": -4
+    },
+    {
+        "alias": "BACnetWeekNDay",
+        "name": "week-n-day",
+        "type": {
+            "base": "octet-string",
+            "length": 3
+        }
+    }
+];
@@ -0,0 +1,159 @@
+// SPDX-FileCopyrightText: Copyright 2024-2026, The BAClib Initiative and Contributors
+// SPDX-License-Identifier: EPL-2.0
+
+/**
+ * @fileoverview Parses BACnet ASN.1 sources that are split over many files.
+ *
+ * The type sources of a project are usually spread over several files: the
+ * clause of the standard, one file per addendum and per-vendor extensions.
+ * `parseFiles()` and `parseDirectory()` parse them all and combine the results
+ * into one set of definitions:
+ *
+ * - Every definition and module carries the `file` it was read from
+ * - ParserErrors carry the `file` they occurred in
+ * - A type name defined in more than one file is reported as a
+ *   `DUPLICATE_DEFINITION` diagnostic; the definition of the first file (in
+ *   the order the files are given) is kept, so that the combined names are unique
+ *
+ * Duplicates within one file are kept; they are reported by `validate()` and
+ * `createRegistry()` like for a single `parse()`.
+ *
+ * Usage:
+ *   import { parseDirectory } from './project.js';
+ *   import { createRegistry } from './registry.js';
+ *   const project = parseDirectory('asn1/', { locations: true });
+ *   const registry = createRegistry(project.definitions, { modules: project.modules });
+ */
+import fs from 'node:fs';
+import path from 'node:path';
+import { parse, ParserError } from './index.js';
+
+/**
+ * Extensions of the files read by `parseDirectory()` by default.
+ *
+ * @type {Array<string>}
+ */
+const defaultExtensions = ['.asn1', '.asn'];
+
+/**
+ * Characters that make a path a glob pattern.
+ *
+ * @type {RegExp}
+ */
+const globPattern = /[*?[{]/;
+
+/**
+ * Parses the given files and combines their definitions.
+ *
+ * Paths containing glob characters (`*`, `?`, `[` or `{`) are expanded with
+ * `fs.globSync()`, in sorted order; a pattern matching no file is an error.
+ * Files given more than once are parsed once.
+ *
+ * @param {string|Array<string>} paths - File paths and/or glob patterns
+ * @param {Object} [options] - Parser options (see `parse()`)
+ * @param {boolean} [options.locations=false] - Attach source locations to definitions and items
+ * @param {boolean} [options.recover=false] - Collect the errors of all files instead of throwing
+ * @returns {Object} The combined result:
+ *   - `files` (Array<string>): The parsed files, in order
+ *   - `definitions` (Array<Object>): The definitions of all files, each with its `file`
+ *   - `modules` (Array<Object>): The modules of all files, each with its `file`
+ *   - `diagnostics` (Array<Object>): Names defined in more than one file, each as
+ *     `{ severity, code, message, name, file, line }`
+ *   - `errors` (Array<ParserError>): With `options.recover`, the errors of all files
+ * @throws {ParserError} On the first syntax error (unless `options.recover` is set),
+ *         with the `file` it occurred in
+ * @throws {Error} If a file cannot be read or a glob pattern matches no file
+ */
+export function parseFiles(paths, options = {}) {
+    const files = new Set();
+    for (const entry of [paths].flat()) {
+        if (!globPattern.test(entry)) {
+            files.add(entry);
+            continue;
+        }
+        const matches = fs.globSync(entry).sort();
+        if (!matches.length) {
+            throw new Error(`No files match '${entry}'`);
+        }
+        matches.forEach(match => files.add(match));
+    }
+    return combine([...files], options);
+}
+
+/**
+ * Parses all ASN.1 files in a directory and its subdirectories.
+ *
+ * The files are parsed in the sorted order of their paths (see `parseFiles()`
+ * for the result and the handling of duplicates).
+ *
+ * @param {string} directory - The directory to read
+ * @param {Object} [options] - Parser options (see `parseFiles()`)
+ * @param {Array<string>} [options.extensions=['.asn1', '.asn']] - Extensions of the files to parse
+ * @returns {Object} The combined result of `parseFiles()`
+ * @throws {ParserError} On the first syntax error (unless `options.recover` is set)
+ * @throws {Error} If the directory or a file cannot be read
+ */
+export function parseDirectory(directory, { extensions = defaultExtensions, ...options } = {}) {
+    const files = fs.readdirSync(directory, { recursive: true })
+        .filter(file => extensions.includes(path.extname(file)))
+        .map(file => path.join(directory, file))
+        .sort();
+    return combine(files, options);
+}
+
+/**
+ * Parses files in order and combines their definitions and modules.
+ *
+ * @param {Array<string>} files - The files to parse
+ * @param {Object} options - Parser options
+ * @returns {Object} The combined result (see `parseFiles()`)
+ */
+function combine(files, options) {
+    const project = { files, definitions: [], modules: [], diagnostics: [] };
+    if (options.recover) {
+        project.errors = [];
+    }
+    const origins = new Map();
+
+    for (const file of project.files) {
+        const content = fs.readFileSync(file, 'utf8');
+        let result;
+        try {
+            result = parse(content, { locations: options.locations, recover: options.recover, modules: true });
+        } catch (error) {
+            if (error instanceof ParserError) {
+                error.file = file;
+            }
+            throw error;
+        }
+
+        for (const error of result.errors ?? []) {
+            error.file = file;
+            project.errors.push(error);
+        }
+        for (const module of result.modules) {
+            module.file = file;
+            project.modules.push(module);
+        }
+        for (const definition of result.definitions) {
+            definition.file = file;
+            const origin = origins.get(definition.name);
+            if (origin !== undefined && origin !== file) {
+                project.diagnostics.push({
+                    severity: 'error',
+                    code: 'DUPLICATE_DEFINITION',
+                    message: `Type '${definition.name}' is defined in both '${origin}' and '${file}'`,
+                    name: definition.name,
+                    file,
+                    line: definition.location?.start.line
+                });
+                continue;
+            }
+            origins.set(definition.name, file);
+            project.definitions.push(definition);
+        }
+    }
+
+    return project;
+}
+
@@ -0,0 +1,436 @@
+// SPDX-FileCopyrightText: Copyright 2024-2026, The BAClib Initiative and Contributors
+// SPDX-License-Identifier: EPL-2.0
+
+/**
+ * @fileoverview Cross-definition type registry for parsed BACnet ASN.1 definitions.
+ *
+ * `parse()` returns a flat array and `normalize()` handles one definition at a time.
+ * The registry combines a complete set of parsed definitions with the predefined
+ * BACnet/BAClib types, resolves every type reference and reports problems that
+ * can only be detected across definitions:
+ *
+ * - `DUPLICATE_DEFINITION`: The same type name is defined more than once
+ * - `UNDEFINED_TYPE`: A referenced type is neither defined nor predefined
+ * - `ALIAS_CYCLE`: Aliases refer back to themselves (e.g. `A ::= B`, `B ::= A`)
+ * - `UNUSED_DEFINITION`: A definition is never referenced by another definition
+ *
+ * When the modules of the parsed files are given (see `parse()` with
+ * `options.modules`), their IMPORTS are resolved against each other. All
+ * modules share one namespace, as BACnet and vendor modules do:
+ *
+ * - `UNDEFINED_MODULE`: An import refers to a module that is not among the modules
+ * - `UNDEFINED_IMPORT`: An imported name is not defined in the module it is imported from
+ * - `NOT_EXPORTED`: An imported name is not exported by its module
+ * - `MISSING_IMPORT`: A definition refers to a type of another module without importing it
+ *
+ * Diagnostics carry the source line when the definitions were parsed with
+ * `parse(content, { locations: true })`.
+ *
+ * `expand()` flattens a normalized type into a self-contained descriptor by
+ * following references down to the BACnet primitive or construction, which
+ * is what encoders and code generators need.
+ *
+ * Usage:
+ *   import { parse } from './index.js';
+ *   import { createRegistry } from './registry.js';
+ *   const registry = createRegistry(parse(content, { locations: true }));
+ *   registry.diagnostics.forEach(d => console.log(`${d.line}: ${d.message}`));
+ *
+ *   const files = [vendorContent, bacnetContent].map(text => parse(text, { modules: true }));
+ *   const combined = createRegistry(files.flatMap(file => file.definitions),
+ *       { modules: files.flatMap(file => file.modules) });
+ */
+import { createParser, predefinedTypes } from './index.js';
+import { toBaclibName } from './to-baclib-name.js';
+
+/**
+ * Type names produced by the parser for built-in ASN.1 constructions.
+ * These are never references to other definitions.
+ *
+ * @type {Set<string>}
+ */
+const builtinTypes = new Set(['Any', 'BitString', 'CHOICE', 'Enumerated', 'OctetString', 'SEQUENCE']);
+
+/**
+ * Kinds of expanded types by the `primitive` number of the predefined types:
+ * BACnet application tags (0-12) and negative numbers for constructions.
+ *
+ * @type {Map<number, string>}
+ */
+const primitiveKinds = new Map([
+    [0, 'null'],
+    [1, 'boolean'],
+    [2, 'unsigned'],
+    [3, 'integer'],
+    [4, 'real'],
+    [5, 'double'],
+    [6, 'octet-string'],
+    [7, 'character-string'],
+    [8, 'bit-string'],
+    [9, 'enumerated'],
+    [10, 'date'],
+    [11, 'time'],
+    [12, 'object-identifier'],
+    [-1, 'any'],
+    [-2, 'choice'],
+    [-3, 'sequence'],
+    [-4, 'sequence-of']
+]);
+
+/**
+ * Kinds whose limits are integers that may exceed the safe integer range.
+ *
+ * @type {Set<string>}
+ */
+const integerKinds = new Set(['enumerated', 'integer', 'unsigned']);
+
+/**
+ * Creates a registry from a complete set of parsed BACnet ASN.1 definitions.
+ *
+ * References are looked up in the given definitions first, then in the
+ * predefined types by original name, and finally by BAClib name (so that
+ * ASN.1 keywords like `INTEGER` or `REAL` resolve to `integer` and `real`).
+ *
+ * @param {Array<Object>} definitions - Parsed definitions as returned by `parse()`
+ * @param {Object} [options] - Registry options
+ * @param {Map<string, Object>|Array<Object>} [options.predefined=predefinedTypes] - Predefined types to
+ *        resolve against and normalize with, as a Map by original and BAClib name or as an array
+ * @param {Array<Object>} [options.modules=[]] - Modules containing the definitions, as returned
+ *        by `parse()` with `options.modules`, whose imports are resolved
+ * @param {Array<Object|Function>} [options.rules] - Rule set for known types used by `get()`
+ *        (see `normalize()`; the default rules if not given)
+ * @returns {Object} The registry with the following members:
+ *   - `definitions` (Map<string, Object>): Parsed definitions by original name
+ *   - `modules` (Map<string, Object>): Modules by name
+ *   - `references` (Map<string, Array<Object>>): References by target name,
+ *     each as `{ from, path, line }`
+ *   - `diagnostics` (Array<Object>): Problems found, each as
+ *     `{ severity, code, message, name, path, file, line }` (`file` if the definition
+ *     or module carries one, as set by `parseFiles()`)
+ *   - `lookup(name)`: The parsed definition or predefined type a name refers to
+ *   - `resolve(name)`: Like `lookup()`, but follows alias chains to their end
+ *   - `get(name)`: The normalized definition for an original or BAClib name
+ *   - `has(name)`: True if `lookup()` finds the name
+ *   - `expand(type)`: The flattened descriptor of a normalized type (see `expand()` below)
+ */
+export function createRegistry(definitions, { predefined = predefinedTypes, modules = [], rules } = {}) {
+
+    const parser = createParser({ predefined, rules });
+
+    const registry = {
+        definitions: new Map(),
+        modules: new Map(modules.map(module => [module.name, module])),
+        references: new Map(),
+        diagnostics: [],
+        lookup,
+        resolve,
+        get,
+        has: name => lookup(name) !== undefined,
+        expand
+    };
+
+    // Index definitions by original name, reporting duplicates
+    for (const definition of definitions) {
+        const previous = registry.definitions.get(definition.name);
+        if (previous) {
+            report('error', 'DUPLICATE_DEFINITION',
+                `Type '${definition.name}' is already defined${lineSuffix(previous, definition)}`, definition);
+            continue;
+        }
+        registry.definitions.set(definition.name, definition);
+    }
+
+    // Collect all type references of all definitions and their nested items
+    for (const definition of registry.definitions.values()) {
+        collectReferences(definition, definition, []);
+    }
+
+    // Report references that cannot be resolved
+    for (const [target, references] of registry.references) {
+        if (lookup(target) === undefined) {
+            for (const reference of references) {
+                const source = reference.path ? `${reference.from}.${reference.path}` : reference.from;
+                report('error', 'UNDEFINED_TYPE', `Type '${target}' referenced by '${source}' is not defined`,
+                    registry.definitions.get(reference.from), reference);
+            }
+        }
+    }
+
+    // Resolve the imports of all modules
+    for (const module of modules) {
+        for (const symbols of module.imports) {
+            const source = registry.modules.get(symbols.from);
+            const reference = { line: symbols.location?.start.line };
+            if (!source) {
+                report('error', 'UNDEFINED_MODULE',
+                    `Module '${symbols.from}' imported by '${module.name}' is not defined`, module, reference);
+                continue;
+            }
+            for (const name of symbols.names) {
+                if (!source.definitions.some(definition => definition.name === name)) {
+                    report('error', 'UNDEFINED_IMPORT',
+                        `Type '${name}' imported by '${module.name}' is not defined in module '${source.name}'`, module, reference);
+                } else if (source.exports !== 'ALL' && !source.exports.includes(name)) {
+                    report('error', 'NOT_EXPORTED',
+                        `Type '${name}' imported by '${module.name}' is not exported by module '${source.name}'`, module, reference);
+                }
+            }
+        }
+    }
+
+    // Report references to types of other modules that are not imported
+    const modulesByDefinition = new Map(modules.flatMap(module =>
+        module.definitions.map(definition => [definition, module])));
+    for (const [target, references] of registry.references) {
+        const targetModule = modulesByDefinition.get(registry.definitions.get(target));
+        for (const reference of targetModule ? references : []) {
+            const definition = registry.definitions.get(reference.from);
+            const module = modulesByDefinition.get(definition);
+            if (module && module !== targetModule && !module.imports.some(symbols =>
+                symbols.from === targetModule.name && symbols.names.includes(target))) {
+                report('warning', 'MISSING_IMPORT',
+                    `Type '${target}' of module '${targetModule.name}' is used by '${reference.from}' without being imported`,
+                    definition, reference);
+            }
+        }
+    }
+
+    // Report alias cycles (once per cycle)
+    const cyclic = new Set();
+    for (const definition of registry.definitions.values()) {
+        const chain = aliasChain(definition.name);
+        const start = chain.indexOf(chain.at(-1));
+        if (start < chain.length - 1 && !cyclic.has(chain.at(-1))) {
+            const cycle = chain.slice(start);
+            cycle.forEach(name => cyclic.add(name));
+            report('error', 'ALIAS_CYCLE', `Alias cycle: ${cycle.join(' -> ')}`,
+                registry.definitions.get(cycle[0]));
+        }
+    }
+
+    // Report definitions that are never referenced by another definition
+    for (const definition of registry.definitions.values()) {
+        const used = registry.references.get(definition.name)?.some(reference => reference.from !== definition.name);
+        if (!used) {
+            report('warning', 'UNUSED_DEFINITION', `Type '${definition.name}' is never referenced`, definition);
+        }
+    }
+
+    // Normalized definitions and expanded types are created on demand and cached
+    const normalized = new Map();
+    const expanded = new Map();
+    let baclibNames = null;
+
+    /**
+     * Records a diagnostic for a definition (or an item within it) or a module (or an import of it).
+     */
+    function report(severity, code, message, definition, reference) {
+        const diagnostic = { severity, code, message, name: definition.name };
+        if (reference?.path) {
+            diagnostic.path = reference.path;
+        }
+        if (definition.file !== undefined) {
+            diagnostic.file = definition.file;
+        }
+        const line = reference ? reference.line : definition.location?.start.line;
+        if (line !== undefined) {
+            diagnostic.line = line;
+        }
+        registry.diagnostics.push(diagnostic);
+    }
+
+    /**
+     * Walks a definition or item and records every referenced type name.
+     */
+    function collectReferences(definition, item, path) {
+        if (!builtinTypes.has(item.type)) {
+            const references = registry.references.get(item.type) ?? [];
+            references.push({ from: definition.name, path: path.join('.'), line: item.location?.start.line });
+            registry.references.set(item.type, references);
+        }
+        if (['CHOICE', 'SEQUENCE'].includes(item.type)) {
+            for (const child of item.items ?? []) {
+                collectReferences(definition, child, [...path, child.name]);
+            }
+        }
+    }
+
+    /**
+     * Returns the names visited when following a chain of aliases. If the chain
+     * is cyclic, the last name is the first one that was visited twice.
+     */
+    function aliasChain(name) {
+        const chain = [name];
+        let definition = registry.definitions.get(name);
+        while (isAlias(definition)) {
+            chain.push(definition.type);
+            if (chain.indexOf(definition.type) < chain.length - 1) {
+                break;
+            }
+            definition = registry.definitions.get(definition.type);
+        }
+        return chain;
+    }
+
+    /**
+     * Looks up a type name among the definitions and predefined types.
+     *
+     * @param {string} name - Original ASN.1 type name
+     * @returns {Object|undefined} The parsed definition or predefined type
+     */
+    function lookup(name) {
+        return registry.definitions.get(name)
+            ?? parser.predefinedTypes.get(name)
+            ?? parser.predefinedTypes.get(toBaclibName(name, false));
+    }
+
+    /**
+     * Looks up a type name and follows aliases to the defining type.
+     *
+     * @param {string} name - Original ASN.1 type name
+     * @returns {Object|undefined} The parsed definition or predefined type at the
+     *          end of the alias chain, undefined if unresolved or cyclic
+     */
+    function resolve(name) {
+        const chain = aliasChain(name);
+        if (chain.indexOf(chain.at(-1)) < chain.length - 1) {
+            return undefined;
+        }
+        return lookup(chain.at(-1));
+    }
+
+    /**
+     * Returns the normalized form of a definition or predefined type.
+     *
+     * @param {string} name - Original ASN.1 name or normalized BAClib name
+     * @returns {Object|undefined} The normalized definition
+     */
+    function get(name) {
+        if (!registry.definitions.has(name)) {
+            baclibNames ??= new Map([...registry.definitions.keys()].map(key => [toBaclibName(key, false), key]));
+            if (baclibNames.has(name)) {
+                name = baclibNames.get(name);
+            }
+        }
+        const definition = registry.definitions.get(name);
+        if (!definition) {
+            return lookup(name);
+        }
+        if (!normalized.has(name)) {
+            normalized.set(name, parser.normalize(definition));
+        }
+        return normalized.get(name);
+    }
+
+    /**
+     * Flattens a normalized type into a descriptor of its BACnet encoding.
+     *
+     * References are followed until a predefined primitive or construction is
+     * reached, and the traits of every step are merged, with the traits closest
+     * to `type` taking precedence. Fields and options are not expanded, so
+     * recursive types are supported. The descriptor has these properties:
+     *
+     * - `kind`: 'null', 'boolean', 'unsigned', 'integer', 'real', 'double', 'octet-string',
+     *   'character-string', 'bit-string', 'enumerated', 'date', 'time', 'object-identifier',
+     *   'any', 'choice', 'sequence' or 'sequence-of'
+     * - `tag`: The application tag number (primitive kinds only)
+     * - `minimum`, `maximum`: Limits as BigInt for unsigned, integer and enumerated kinds,
+     *   as numbers otherwise
+     * - `length`, `values`, `bits`, `fields`, `options`, `proprietary`: As in the normalized type
+     * - `element`, `count`: The expanded element type and `series` value of 'sequence-of'
+     *   (true, a fixed count or a `{ minimum, maximum }` range)
+     *
+     * @param {string|Object} type - BAClib or original type name, or normalized type object
+     * @returns {Object} The expanded type descriptor
+     * @throws {Error} If a referenced type is not defined or aliases are cyclic
+     */
+    function expand(type) {
+        if (typeof type !== 'string') {
+            return expandType(type, []);
+        }
+        if (!expanded.has(type)) {
+            expanded.set(type, expandType(type, []));
+        }
+        return expanded.get(type);
+    }
+
+    /**
+     * Expands a type, tracking the names visited to detect alias cycles.
+     */
+    function expandType(type, visited) {
+        if (typeof type === 'string') {
+            if (visited.includes(type)) {
+                throw new Error(`Alias cycle: ${[...visited, type].join(' -> ')}`);
+            }
+            const definition = get(type);
+            if (!definition) {
+                throw new Error(`Type '${type}' is not defined`);
+            }
+            if (definition.type !== undefined) {
+                return expandType(definition.type, [...visited, type]);
+            }
+            const kind = primitiveKinds.get(definition.primitive);
+            return definition.primitive >= 0 ? { kind, tag: definition.primitive } : { kind };
+        }
+
+        const { base, series, ...traits } = type;
+        if (series !== undefined) {
+            return { kind: 'sequence-of', count: series, element: expandType({ base, ...traits }, visited) };
+        }
+
+        const descriptor = { ...expandType(base, visited) };
+        for (const [key, value] of Object.entries(traits)) {
+            if (key === 'minimum' || key === 'maximum') {
+                // MIN and MAX leave the limit open
+                if (Number.isFinite(Number(value))) {
+                    descriptor[key] = integerKinds.has(descriptor.kind) ? integerLimit(key, value) : Number(value);
+                }
+            } else {
+                descriptor[key] = value;
+            }
+        }
+        return descriptor;
+    }
+
+    return registry;
+}
+
+/**
+ * Converts a finite limit of an integer kind into a BigInt.
+ *
+ * Integers (including 64-bit digit strings) are converted exactly. Other values
+ * (e.g. `Integer (0..1.5)`, reported by `validate()`) are rounded inward to the
+ * nearest integer, which gives the same set of allowed integers.
+ *
+ * @param {string} key - 'minimum' or 'maximum'
+ * @param {number|string} value - Normalized limit
+ * @returns {bigint} The integer limit
+ */
+function integerLimit(key, value) {
+    if (/^[+-]?\d+$/.test(String(value))) {
+        return BigInt(value);
+    }
+    return BigInt(key === 'minimum' ? Math.ceil(Number(value)) : Math.floor(Number(value)));
+}
+
+/**
+ * Checks whether a parsed definition is a plain alias of another type.
+ *
+ * @param {Object} [definition] - Parsed definition
+ * @returns {boolean} True if the definition only renames (and constrains) another type
+ */
+function isAlias(definition) {
+    return definition !== undefined
+        && !builtinTypes.has(definition.type)
+        && definition.series === undefined
+        && !definition.items;
+}
+
+/**
+ * Formats the source line of a definition for use in messages, with its file
+ * if that differs from the file of the definition the message is about.
+ */
+function lineSuffix(definition, other) {
+    const file = definition.file !== undefined && definition.file !== other?.file ? ` in '${definition.file}'` : '';
+    return `${definition.location ? ` at line ${definition.location.start.line}` : ''}${file}`;
+}
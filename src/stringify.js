@@ -0,0 +1,229 @@
+// SPDX-FileCopyrightText: Copyright 2024-2026, The BAClib Initiative and Contributors
+// SPDX-License-Identifier: EPL-2.0
+
+/**
+ * @fileoverview Serializes parsed or normalized definitions back to BACnet ASN.1.
+ *
+ * `stringify()` is the inverse of `parse()`: for any content that parses,
+ * `parse(stringify(parse(content)))` deep-equals `parse(content)`. It keeps
+ * APPLICATION tags, context tags, OPTIONAL markers, range and SIZE constraints,
+ * extensibility markers and comments, and formats the output consistently
+ * (one item per line, aligned comments, a blank line between definitions).
+ * Descriptions (leading comments) are written as comment lines above their
+ * definition or item, comments after them.
+ *
+ * Normalized BAClib definitions (as returned by `normalize()`) are accepted as
+ * well and converted with `denormalize()` (without requiring an exact
+ * restoration): their original names are restored from `alias`; type
+ * references are mapped back to the original names of the definitions being
+ * serialized, the predefined types, or PascalCase names derived from the
+ * BAClib names.
+ *
+ * Usage:
+ *   import { parse } from './index.js';
+ *   import { stringify } from './stringify.js';
+ *   const formatted = stringify(parse(content));
+ */
+import { denormalize } from './denormalize.js';
+
+/**
+ * ASN.1 keywords for the built-in types produced by the parser.
+ *
+ * @type {Object<string, string>}
+ */
+const typeKeywords = {
+    Any: 'ABSTRACT-SYNTAX.&Type',
+    BitString: 'BIT STRING',
+    Enumerated: 'ENUMERATED',
+    OctetString: 'OCTET STRING'
+};
+
+/**
+ * Parser type names of real types, whose infinite limits are values rather than unbounded.
+ *
+ * @type {Set<string>}
+ */
+const realTypes = new Set(['Real', 'REAL', 'Double']);
+
+/**
+ * Serializes definitions to formatted BACnet ASN.1 notation.
+ *
+ * @param {Object|Array<Object>} definitions - Parsed or normalized definition(s)
+ * @param {Object} [options] - Formatting options
+ * @param {number} [options.indent=4] - Number of spaces per nesting level
+ * @returns {string} The ASN.1 notation, terminated by a newline
+ * @throws {Error} If a normalized definition has no type (e.g. predefined primitives)
+ */
+export function stringify(definitions, { indent = 4 } = {}) {
+    definitions = Array.isArray(definitions) ? definitions : [definitions];
+    const restored = denormalize(definitions.filter(isNormalized), { exact: false });
+
+    const padding = ' '.repeat(indent);
+    return definitions
+        .map(definition => isNormalized(definition) ? restored.shift() : definition)
+        .map(definition => stringifyDefinition(definition, padding))
+        .join('\n\n') + '\n';
+}
+
+/**
+ * Checks whether a definition is in normalized BAClib format rather than parsed format.
+ *
+ * Parsed definitions always have a type name starting with an uppercase letter,
+ * normalized definitions have a kebab-case type name or a type object.
+ *
+ * @param {Object} definition - The definition to check
+ * @returns {boolean} True for normalized definitions
+ */
+function isNormalized(definition) {
+    return typeof definition.type !== 'string' || /^[a-z]/.test(definition.type);
+}
+
+/**
+ * Formats a parsed definition as an ASN.1 production.
+ *
+ * @param {Object} definition - Parsed definition
+ * @param {string} padding - Indentation per nesting level
+ * @returns {string} The production text
+ */
+function stringifyDefinition(definition, padding) {
+    const tag = definition.primitive !== undefined ? `[APPLICATION ${definition.primitive}] ` : '';
+    const description = definition.description ? `${commentLines(definition.description, '').join('\n')}\n` : '';
+    const text = `${description}${definition.name} ::= ${tag}${stringifyType(definition, padding, 0)}`;
+
+    // Definitions with items carry their comment after the closing brace
+    if (definition.comment && !definition.items) {
+        return `${text}\n${commentLines(definition.comment, '').join('\n')}`;
+    }
+    return text;
+}
+
+/**
+ * Formats the type expression of a definition or item, including constraints and items.
+ *
+ * @param {Object} item - Parsed definition or item
+ * @param {string} padding - Indentation per nesting level
+ * @param {number} level - Current nesting level
+ * @returns {string} The type expression
+ */
+function stringifyType(item, padding, level) {
+    let text = '';
+
+    if (item.series === true) {
+        text += 'SEQUENCE OF ';
+    } else if (typeof item.series === 'object') {
+        text += `SEQUENCE SIZE ${stringifyRange(item.series)} OF `;
+    } else if (item.series !== undefined) {
+        text += `SEQUENCE SIZE (${item.series}) OF `;
+    }
+
+    text += typeKeywords[item.type] ?? item.type;
+
+    if (item.size) {
+        text += ` (SIZE ${stringifyRange(item.size)})`;
+    }
+    if (item.range) {
+        text += ` ${stringifyRange(item.range, realTypes.has(item.type))}`;
+    }
+    if (item.items) {
+        text += ` ${stringifyItems(item, padding, level)}`;
+    }
+    return text;
+}
+
+/**
+ * Formats a range as (min..max), or (value) if minimum and maximum are equal.
+ *
+ * Infinite limits are written as MIN and MAX where these keywords are allowed
+ * (MIN as lower and MAX as upper limit of a range), and as MINUS-INFINITY and
+ * PLUS-INFINITY otherwise and for real types, where they are values.
+ *
+ * @param {{min: number|bigint, max: number|bigint}} range - Parsed range or size constraint
+ * @param {boolean} [real=false] - Whether the range constrains a real type
+ * @returns {string} The constraint in parentheses
+ */
+function stringifyRange({ min, max }, real = false) {
+    const format = (value, keyword) => {
+        if (typeof value !== 'number') {
+            return String(value);
+        }
+        if (Number.isNaN(value)) {
+            return 'NOT-A-NUMBER';
+        }
+        if (!Number.isFinite(value)) {
+            const unbounded = value < 0 ? 'MIN' : 'MAX';
+            return !real && keyword === unbounded ? keyword : value < 0 ? 'MINUS-INFINITY' : 'PLUS-INFINITY';
+        }
+        // String() drops the sign of -0
+        return Object.is(value, -0) ? '-0' : String(value);
+    };
+    return min === max || Object.is(min, max) ? `(${format(min, 'MIN')})` : `(${format(min, 'MIN')}..${format(max, 'MAX')})`;
+}
+
+/**
+ * Formats the items of a type in braces, one item per line with aligned comments.
+ *
+ * @param {Object} type - Parsed definition or item with items
+ * @param {string} padding - Indentation per nesting level
+ * @param {number} level - Nesting level of the type
+ * @returns {string} The items in braces, followed by the definition's comment (if any)
+ */
+function stringifyItems(type, padding, level) {
+    const isSimpleType = ['BitString', 'Enumerated'].includes(type.type);
+    const inner = padding.repeat(level + 1);
+
+    const lines = type.items.map((item, index) => {
+        let text = item.name;
+        if (isSimpleType) {
+            text += ` (${item.number})`;
+        } else {
+            if (item.number !== undefined) {
+                text += ` [${item.number}]`;
+            }
+            text += ` ${stringifyType(item, padding, level + 1)}`;
+            if (item.optional) {
+                text += ' OPTIONAL';
+            }
+        }
+        if (index < type.items.length - 1 || type.extensible) {
+            text += ',';
+        }
+        return { text: inner + text, comment: item.comment, description: item.description };
+    });
+
+    // Align comments of single-line items in a common column
+    const column = Math.max(0, ...lines.filter(line => !line.text.includes('\n')).map(line => line.text.length)) + 1;
+    const body = lines.map(({ text, comment, description }) => {
+        const above = description ? commentLines(description, inner).map(line => `${line}\n`).join('') : '';
+        if (!comment) {
+            return above + text;
+        }
+        const width = text.includes('\n') ? text.length - text.lastIndexOf('\n') - 1 : text.length;
+        const [first, ...rest] = commentLines(comment, ' '.repeat(column));
+        return `${above}${text}${' '.repeat(Math.max(1, column - width))}${first.trimStart()}${rest.map(line => `\n${line}`).join('')}`;
+    });
+    if (type.extensible) {
+        body.push(`${inner}...`);
+    }
+
+    // Inline types share their comment with the item, which is written after the item
+    const closing = type.comment && level === 0 ? `} ${commentLines(type.comment, '').join('\n')}` : '}';
+    return `{\n${body.join('\n')}\n${padding.repeat(level)}${closing}`;
+}
+
+/**
+ * Formats comment text as ASN.1 comment lines.
+ *
+ * Text containing '--' (which would end a '--' comment, e.g. from a block
+ * comment) is written as a /* *\/ block comment instead.
+ *
+ * @param {string} comment - Comment text (may contain line breaks)
+ * @param {string} prefix - Indentation for each line
+ * @returns {Array<string>} One '-- ' comment per line of text, or the lines of a block comment
+ */
+function commentLines(comment, prefix) {
+    const lines = comment.split('\n').map(line => line.trim());
+    if (comment.includes('--')) {
+        return lines.map((line, index) => `${prefix}${index ? '   ' : '/* '}${line}${index === lines.length - 1 ? ' */' : ''}`.trimEnd());
+    }
+    return lines.map(line => `${prefix}-- ${line}`.trimEnd());
+}
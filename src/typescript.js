@@ -0,0 +1,283 @@
+// SPDX-FileCopyrightText: Copyright 2024-2026, The BAClib Initiative and Contributors
+// SPDX-License-Identifier: EPL-2.0
+
+/**
+ * @fileoverview Generates TypeScript declarations from normalized definitions.
+ *
+ * Each definition becomes an exported type or interface named after its
+ * original ASN.1 name, describing the values used by the codec:
+ *
+ * - ENUMERATED values and named BIT STRING bits become string literal unions
+ *   (with `number` added for extensible types that have a proprietary range)
+ * - SEQUENCE becomes an interface with optional members for OPTIONAL fields
+ * - CHOICE becomes a union of single-property object types keyed by option name
+ * - SEQUENCE OF becomes an array
+ * - Unsigned, Integer and Enumerated types beyond the safe integer range (64-bit) become `bigint`
+ *
+ * Comments are carried over as JSDoc. Dates, times and object identifiers are
+ * declared as `BACnetDate`, `BACnetTime` and `BACnetObjectIdentifier` when used.
+ *
+ * Usage:
+ *   import { parse, normalize } from './index.js';
+ *   import { toTypeScript } from './typescript.js';
+ *   fs.writeFileSync('bacnet.d.ts', toTypeScript(parse(content).map(normalize)));
+ */
+import { predefinedTypes } from './index.js';
+
+/**
+ * TypeScript types of the predefined primitives and constructions by `primitive` number.
+ * Dates, times and object identifiers refer to the helper declarations below.
+ *
+ * @type {Map<number, string>}
+ */
+const primitiveTypes = new Map([
+    [0, 'null'],
+    [1, 'boolean'],
+    [2, 'number'],
+    [3, 'number'],
+    [4, 'number'],
+    [5, 'number'],
+    [6, 'Uint8Array'],
+    [7, 'string'],
+    [8, 'boolean[]'],
+    [9, 'number'],
+    [10, 'BACnetDate'],
+    [11, 'BACnetTime'],
+    [12, 'BACnetObjectIdentifier'],
+    [-1, 'Uint8Array'],
+    [-2, 'object'],
+    [-3, 'object'],
+    [-4, 'unknown[]']
+]);
+
+/**
+ * Helper declarations for types that have no TypeScript equivalent.
+ *
+ * @type {Object<string, Array<string>>}
+ */
+const helperDeclarations = {
+    BACnetDate: [
+        '/** Date with `null` for unspecified parts */',
+        'export interface BACnetDate {',
+        '    year: number | null;',
+        '    month: number | null;',
+        '    day: number | null;',
+        '    weekday: number | null;',
+        '}'
+    ],
+    BACnetTime: [
+        '/** Time with `null` for unspecified parts */',
+        'export interface BACnetTime {',
+        '    hour: number | null;',
+        '    minute: number | null;',
+        '    second: number | null;',
+        '    hundredths: number | null;',
+        '}'
+    ],
+    BACnetObjectIdentifier: [
+        '/** Object type and instance number */',
+        'export interface BACnetObjectIdentifier {',
+        '    type: number;',
+        '    instance: number;',
+        '}'
+    ]
+};
+
+/**
+ * Generates TypeScript declarations for normalized definitions.
+ *
+ * @param {Object|Array<Object>} definitions - Normalized definition(s) as returned by `normalize()`
+ * @param {Object} [options] - Generation options
+ * @param {number} [options.indent=4] - Number of spaces per nesting level
+ * @param {Map<string, Object>|Array<Object>} [options.predefined=predefinedTypes] - Predefined types
+ *        the definitions were normalized with, as a Map by original and BAClib name or as an array
+ * @returns {string} The declarations (`.d.ts` content), terminated by a newline
+ * @throws {Error} If a referenced type is neither among the definitions nor predefined
+ */
+export function toTypeScript(definitions, { indent = 4, predefined = predefinedTypes } = {}) {
+    definitions = Array.isArray(definitions) ? definitions : [definitions];
+    const byName = new Map(definitions.map(definition => [definition.name, definition]));
+    const predefinedByName = predefined instanceof Map
+        ? predefined
+        : new Map(Array.from(predefined, definition => [definition.name, definition]));
+    const padding = ' '.repeat(indent);
+    const helpers = new Set();
+
+    /**
+     * Looks up a definition by BAClib name among the definitions and predefined types.
+     */
+    const lookup = name => {
+        const definition = byName.get(name) ?? predefinedByName.get(name);
+        if (!definition) {
+            throw new Error(`Type '${name}' is not defined`);
+        }
+        return definition;
+    };
+
+    /**
+     * Returns the TypeScript type of a predefined type, following its references.
+     */
+    const predefinedType = (definition, visited = []) => {
+        if (visited.includes(definition.name)) {
+            throw new Error(`Alias cycle: ${[...visited, definition.name].join(' -> ')}`);
+        }
+        const type = definition.type;
+        if (type === undefined) {
+            const text = primitiveTypes.get(definition.primitive);
+            if (text in helperDeclarations) {
+                helpers.add(text);
+            }
+            return text;
+        }
+        if (typeof type === 'string') {
+            return predefinedType(lookup(type), [...visited, definition.name]);
+        }
+        return isWide(type) ? 'bigint' : predefinedType(lookup(type.base), [...visited, definition.name]);
+    };
+
+    /**
+     * Returns the TypeScript type of a normalized type (a name or type object).
+     */
+    const typeText = (type, level) => {
+        if (typeof type === 'string') {
+            return byName.has(type) ? identifier(byName.get(type)) : predefinedType(lookup(type));
+        }
+
+        const { series, ...element } = type;
+        if (series !== undefined) {
+            const text = typeText(element, level);
+            return /^[\w.]+$/.test(text) ? `${text}[]` : `Array<${text}>`;
+        }
+
+        if (type.values) {
+            return union(type.values, type);
+        }
+        if (type.bits) {
+            return `Array<${union(type.bits, type)}>`;
+        }
+        if (type.fields) {
+            return objectLiteral(type.fields, level);
+        }
+        if (type.options) {
+            return type.options.map(option => optionLiteral(option, level)).join(' | ');
+        }
+        return isWide(type) ? 'bigint' : typeText(type.base, level);
+    };
+
+    /**
+     * Formats fields as an object type literal with JSDoc for commented members.
+     */
+    const objectLiteral = (fields, level) => {
+        const inner = padding.repeat(level + 1);
+        const members = fields.flatMap(field => [
+            ...jsdoc(field, inner),
+            `${inner}${propertyName(field.name)}${field.optional ? '?' : ''}: ${typeText(field.type, level + 1)};`
+        ]);
+        return `{\n${members.join('\n')}\n${padding.repeat(level)}}`;
+    };
+
+    /**
+     * Formats an option as a single-property object type, on one line if possible.
+     */
+    const optionLiteral = (option, level) => {
+        const text = typeText(option.type, level + 1);
+        if (!option.description && !option.comment && !text.includes('\n')) {
+            return `{ ${propertyName(option.name)}: ${text} }`;
+        }
+        return objectLiteral([{ ...option, optional: false }], level);
+    };
+
+    const declarations = definitions.map(definition => {
+        const name = identifier(definition);
+        const lines = jsdoc(definition, '');
+        const type = definition.type;
+        if (typeof type === 'object' && type.fields && type.series === undefined) {
+            lines.push(`export interface ${name} ${objectLiteral(type.fields, 0)}`);
+        } else if (typeof type === 'object' && type.options && type.series === undefined) {
+            const options = type.options.map(option => `${padding}| ${optionLiteral(option, 1)}`);
+            lines.push(`export type ${name} =\n${options.join('\n')};`);
+        } else {
+            const text = type === undefined ? predefinedType(definition) : typeText(type, 0);
+            lines.push(`export type ${name} = ${text};`);
+        }
+        return lines.join('\n');
+    });
+
+    // Helpers are only declared if no definition has the same name
+    const declared = new Set(definitions.map(identifier));
+    for (const helper of helpers) {
+        if (!declared.has(helper)) {
+            declarations.push(helperDeclarations[helper].join('\n'));
+        }
+    }
+    return declarations.join('\n\n') + '\n';
+}
+
+/**
+ * Returns the TypeScript name of a definition: its original name if that is
+ * a valid identifier, otherwise the PascalCase form of its BAClib name.
+ *
+ * @param {Object} definition - Normalized definition
+ * @returns {string} The identifier
+ */
+function identifier(definition) {
+    const name = definition.alias ?? definition.name;
+    if (/^[A-Za-z_$][\w$]*$/.test(name)) {
+        return name.charAt(0).toUpperCase() + name.slice(1);
+    }
+    return definition.name.split('-').map(part => part.charAt(0).toUpperCase() + part.slice(1)).join('');
+}
+
+/**
+ * Quotes a property name unless it is a valid identifier.
+ *
+ * @param {string} name - BAClib field or option name
+ * @returns {string} The property name
+ */
+function propertyName(name) {
+    return /^[A-Za-z_$][\w$]*$/.test(name) ? name : `'${name}'`;
+}
+
+/**
+ * Formats values or bits as a string literal union, adding `number` if the
+ * type has a (non-empty) proprietary range.
+ *
+ * @param {Array<Object>} items - Normalized values or bits
+ * @param {Object} type - Normalized type object
+ * @returns {string} The union
+ */
+function union(items, type) {
+    const literals = items.map(item => `'${item.name}'`);
+    const isExtensible = [type.proprietary ?? []].flat().some(range => range.from <= range.to);
+    return [...literals, ...(isExtensible ? ['number'] : [])].join(' | ');
+}
+
+/**
+ * Checks whether a type's limits exceed the safe integer range, which makes its values BigInts.
+ *
+ * @param {Object} type - Normalized type object
+ * @returns {boolean} True for 64-bit types
+ */
+function isWide(type) {
+    return [type.minimum, type.maximum].some(limit => limit !== undefined
+        && /^[+-]?\d+$/.test(String(limit)) && !Number.isSafeInteger(Number(limit)));
+}
+
+/**
+ * Formats the description and comment of a definition or item as JSDoc lines.
+ *
+ * @param {Object} documented - Normalized definition, field or option
+ * @param {string} prefix - Indentation for each line
+ * @returns {Array<string>} The JSDoc lines, empty without description and comment
+ */
+function jsdoc({ description, comment }, prefix) {
+    comment = [description, comment].filter(Boolean).join('\n');
+    if (!comment) {
+        return [];
+    }
+    const lines = comment.split('\n').map(line => line.trim().replaceAll('*/', '*\\/'));
+    if (lines.length === 1) {
+        return [`${prefix}/** ${lines[0]} */`];
+    }
+    return [`${prefix}/**`, ...lines.map(line => `${prefix} * ${line}`.trimEnd()), `${prefix} */`];
+}
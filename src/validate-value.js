@@ -0,0 +1,331 @@
+// SPDX-FileCopyrightText: Copyright 2024-2026, The BAClib Initiative and Contributors
+// SPDX-License-Identifier: EPL-2.0
+
+/**
+ * @fileoverview Runtime validation of JavaScript values against normalized types.
+ *
+ * Checks values in the representation used by the codec (see `codec.js`)
+ * before they are encoded, and reports every problem with the path of the
+ * offending part of the value:
+ *
+ *   list-of-values[3].property-identifier: 5000000000 exceeds maximum 4294967295
+ *
+ * Numeric limits, string and bit string lengths, bit and value names, required
+ * fields, exactly one CHOICE option and SEQUENCE OF sizes (fixed or ranged) are checked. Numbers
+ * in the `proprietary` range of extensible enumerations and bit strings are
+ * accepted in place of names.
+ *
+ * Usage:
+ *   import { parse } from './index.js';
+ *   import { createRegistry } from './registry.js';
+ *   import { validateValue } from './validate-value.js';
+ *   const errors = validateValue('BACnetDateRange', value, createRegistry(parse(content)));
+ *   errors.forEach(error => console.log(`${error.path}: ${error.message}`));
+ */
+import { createRegistry } from './registry.js';
+
+/**
+ * Ranges of the parts of dates and times (0xFF = unspecified is given as null).
+ *
+ * @type {Object<string, Object<string, Array<number>>>}
+ */
+const partRanges = {
+    'date': { year: [1900, 2154], month: [1, 14], day: [1, 34], weekday: [1, 7] },
+    'time': { hour: [0, 23], minute: [0, 59], second: [0, 59], hundredths: [0, 99] },
+    'object-identifier': { type: [0, 1023], instance: [0, 4194303] }
+};
+
+/**
+ * Registry for the predefined types, used if no registry is given.
+ *
+ * @type {Object|undefined}
+ */
+let defaultRegistry;
+
+/**
+ * Validates a value against a normalized type.
+ *
+ * @param {string|Object} type - Type name, normalized type object or normalized definition
+ * @param {*} value - The value to check
+ * @param {Object} [registry] - Registry resolving the type references (predefined types only by default)
+ * @returns {Array<{path: string, message: string}>} The problems found, empty if the value is valid;
+ *          `path` is empty for the value itself
+ * @throws {Error} If the type references an undefined type
+ */
+export function validateValue(type, value, registry) {
+    registry ??= defaultRegistry ??= createRegistry([]);
+    if (typeof type === 'object' && type.base === undefined) {
+        type = type.type ?? type.name;
+    }
+    const errors = [];
+    checkValue(registry, registry.expand(type), value, '', errors);
+    return errors;
+}
+
+/**
+ * Checks a value against an expanded type, collecting problems.
+ *
+ * @param {Object} registry - The registry
+ * @param {Object} descriptor - Expanded type (see `registry.expand()`)
+ * @param {*} value - The value to check
+ * @param {string} path - Location of the value
+ * @param {Array<Object>} errors - Problems found so far
+ */
+function checkValue(registry, descriptor, value, path, errors) {
+    const report = message => errors.push({ path, message });
+
+    switch (descriptor.kind) {
+        case 'null':
+            if (value !== null) {
+                report(`expected null but got ${describe(value)}`);
+            }
+            break;
+        case 'boolean':
+            if (typeof value !== 'boolean') {
+                report(`expected a boolean but got ${describe(value)}`);
+            }
+            break;
+        case 'unsigned':
+        case 'integer':
+            if (!isInteger(value)) {
+                report(`expected an integer but got ${describe(value)}`);
+            } else {
+                checkLimits(descriptor, BigInt(value), report);
+            }
+            break;
+        case 'real':
+        case 'double':
+            if (typeof value !== 'number') {
+                report(`expected a number but got ${describe(value)}`);
+            } else {
+                checkLimits(descriptor, value, report);
+            }
+            break;
+        case 'octet-string':
+            if (!(value instanceof Uint8Array)) {
+                report(`expected a Uint8Array but got ${describe(value)}`);
+            } else {
+                checkLength(descriptor, value.length, report);
+            }
+            break;
+        case 'character-string':
+            if (typeof value !== 'string') {
+                report(`expected a string but got ${describe(value)}`);
+            } else {
+                checkLength(descriptor, [...value].length, report);
+            }
+            break;
+        case 'bit-string':
+            checkBits(descriptor, value, report);
+            break;
+        case 'enumerated':
+            checkEnumerated(descriptor, value, report);
+            break;
+        case 'date':
+        case 'time':
+        case 'object-identifier':
+            checkParts(descriptor.kind, value, report);
+            break;
+        case 'sequence':
+            if (!isObject(value)) {
+                report(`expected an object but got ${describe(value)}`);
+                break;
+            }
+            for (const field of descriptor.fields ?? []) {
+                if (value[field.name] === undefined) {
+                    if (!field.optional) {
+                        report(`missing required field '${field.name}'`);
+                    }
+                    continue;
+                }
+                checkValue(registry, registry.expand(field.type), value[field.name], joinPath(path, field.name), errors);
+            }
+            for (const key of Object.keys(value)) {
+                if (!descriptor.fields?.some(field => field.name === key)) {
+                    report(`unknown field '${key}'`);
+                }
+            }
+            break;
+        case 'choice': {
+            const keys = isObject(value) ? Object.keys(value) : [];
+            const option = descriptor.options?.find(option => option.name === keys[0]);
+            if (keys.length !== 1 || !option) {
+                const names = descriptor.options?.map(option => `'${option.name}'`).join(', ');
+                report(`expected an object with exactly one of ${names}`);
+                break;
+            }
+            checkValue(registry, registry.expand(option.type), value[option.name], joinPath(path, option.name), errors);
+            break;
+        }
+        case 'sequence-of':
+            if (!Array.isArray(value)) {
+                report(`expected an array but got ${describe(value)}`);
+                break;
+            }
+            if (typeof descriptor.count === 'number' && value.length !== descriptor.count) {
+                report(`expected ${descriptor.count} elements but got ${value.length}`);
+            } else if (typeof descriptor.count === 'object') {
+                const { minimum, maximum } = descriptor.count;
+                if (value.length < minimum) {
+                    report(`expected at least ${minimum} elements but got ${value.length}`);
+                } else if (value.length > maximum) {
+                    report(`expected at most ${maximum} elements but got ${value.length}`);
+                }
+            }
+            value.forEach((element, index) =>
+                checkValue(registry, descriptor.element, element, `${path}[${index}]`, errors));
+            break;
+        case 'any':
+            if (!(value instanceof Uint8Array)) {
+                report(`expected a Uint8Array with encoded data but got ${describe(value)}`);
+            }
+            break;
+    }
+}
+
+/**
+ * Checks a number against the minimum and maximum of a type.
+ */
+function checkLimits(descriptor, value, report) {
+    const minimum = descriptor.minimum ?? (descriptor.kind === 'unsigned' ? 0n : undefined);
+    if (minimum !== undefined && value < minimum) {
+        report(`${value} is below minimum ${minimum}`);
+    } else if (descriptor.maximum !== undefined && value > descriptor.maximum) {
+        report(`${value} exceeds maximum ${descriptor.maximum}`);
+    }
+}
+
+/**
+ * Checks a length against the `length` of a type.
+ */
+function checkLength(descriptor, length, report) {
+    if (descriptor.length === undefined) {
+        return;
+    }
+    const { minimum = 0, maximum } = typeof descriptor.length === 'object'
+        ? descriptor.length
+        : { minimum: descriptor.length, maximum: descriptor.length };
+    if (length < minimum) {
+        report(`length ${length} is below minimum length ${minimum}`);
+    } else if (maximum !== undefined && length > maximum) {
+        report(`length ${length} exceeds maximum length ${maximum}`);
+    }
+}
+
+/**
+ * Checks a bit string: set bit names (or proprietary positions), or booleans for unnamed bits.
+ */
+function checkBits(descriptor, value, report) {
+    if (!Array.isArray(value)) {
+        report(`expected an array but got ${describe(value)}`);
+        return;
+    }
+    if (!descriptor.bits?.length) {
+        if (value.some(bit => typeof bit !== 'boolean')) {
+            report('expected an array of booleans');
+        }
+        checkLength(descriptor, value.length, report);
+        return;
+    }
+    for (const bit of value) {
+        if (typeof bit === 'string') {
+            if (!descriptor.bits.some(item => item.name === bit)) {
+                report(`unknown bit '${bit}'`);
+            }
+        } else if (!isInteger(bit) || !isProprietary(descriptor, bit)) {
+            report(`${describe(bit)} is neither a bit name nor a proprietary bit position`);
+        }
+    }
+}
+
+/**
+ * Checks an enumerated value: a value name, a defined constant, or a proprietary number.
+ */
+function checkEnumerated(descriptor, value, report) {
+    if (typeof value === 'string') {
+        if (!descriptor.values?.some(item => item.name === value)) {
+            report(`unknown value '${value}'`);
+        }
+        return;
+    }
+    if (!isInteger(value)) {
+        report(`expected a value name or an integer but got ${describe(value)}`);
+        return;
+    }
+    const number = BigInt(value);
+    if (number < 0n || (descriptor.minimum !== undefined && number < descriptor.minimum)) {
+        report(`${value} is below minimum ${descriptor.minimum ?? 0}`);
+    } else if (descriptor.maximum !== undefined && number > descriptor.maximum) {
+        report(`${value} exceeds maximum ${descriptor.maximum}`);
+    } else if (descriptor.values?.length
+        && !descriptor.values.some(item => BigInt(item.constant) === number)
+        && !isProprietary(descriptor, value)) {
+        report(`${value} is neither a defined nor a proprietary value`);
+    }
+}
+
+/**
+ * Checks the parts of a date, time or object identifier.
+ */
+function checkParts(kind, value, report) {
+    const ranges = partRanges[kind];
+    if (!isObject(value)) {
+        report(`expected { ${Object.keys(ranges).join(', ')} } but got ${describe(value)}`);
+        return;
+    }
+    for (const [part, [minimum, maximum]] of Object.entries(ranges)) {
+        const number = value[part];
+        // Only dates and times have unspecified parts
+        if ((number === null || number === undefined) && kind !== 'object-identifier') {
+            continue;
+        }
+        if (!Number.isInteger(number) || number < minimum || number > maximum) {
+            report(`${part} ${describe(number)} is not in the range ${minimum}..${maximum}`);
+        }
+    }
+}
+
+/**
+ * Checks whether a number lies within the proprietary range(s) of a type.
+ */
+function isProprietary(descriptor, value) {
+    return [descriptor.proprietary ?? []].flat()
+        .some(range => range.from <= value && value <= range.to);
+}
+
+/**
+ * Checks whether a value is an integer number or a BigInt.
+ */
+function isInteger(value) {
+    return typeof value === 'bigint' || Number.isInteger(value);
+}
+
+/**
+ * Checks whether a value is a plain object (not null or an array).
+ */
+function isObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Appends a field or option name to a value path.
+ */
+function joinPath(path, name) {
+    return path ? `${path}.${name}` : name;
+}
+
+/**
+ * Describes a value for error messages.
+ */
+function describe(value) {
+    if (value === null || value === undefined) {
+        return String(value);
+    }
+    if (Array.isArray(value)) {
+        return 'an array';
+    }
+    if (typeof value === 'object') {
+        return `a ${value.constructor?.name ?? 'object'}`;
+    }
+    return typeof value === 'string' ? `'${value}'` : String(value);
+}
@@ -0,0 +1,182 @@
+// SPDX-FileCopyrightText: Copyright 2024-2026, The BAClib Initiative and Contributors
+// SPDX-License-Identifier: EPL-2.0
+
+/**
+ * @fileoverview Semantic validation of parsed BACnet ASN.1 definitions.
+ *
+ * The parser only checks syntax, so it accepts definitions that are well-formed
+ * but cannot be encoded unambiguously. This module checks the items of every
+ * definition (including inline nested types) for such conflicts:
+ *
+ * - `DUPLICATE_NAME`: Two items of the same ENUMERATED, BIT STRING, SEQUENCE or CHOICE share a name
+ * - `DUPLICATE_NUMBER`: Two ENUMERATED values or BIT STRING positions share a number
+ * - `DUPLICATE_TAG`: Two SEQUENCE fields or CHOICE options share a context tag
+ * - `BIT_OUT_OF_RANGE`: A BIT STRING position lies beyond the declared SIZE
+ * - `NON_INTEGER_LIMIT`: A range limit of an INTEGER or Unsigned type is not an integer
+ * - `UNKNOWN_PROPRIETARY_RANGE` (warning): The proprietary range of an extensible
+ *   ENUMERATED or BIT STRING can neither be read from its comment nor is given by a
+ *   rule for known types (see `defaultRules` in `index.js`)
+ *
+ * Diagnostics have the same shape as those of the registry and carry the source
+ * line when the definitions were parsed with `parse(content, { locations: true })`.
+ *
+ * Usage:
+ *   import { parse } from './index.js';
+ *   import { validate } from './validate.js';
+ *   const diagnostics = validate(parse(content, { locations: true }));
+ */
+import { normalize } from './index.js';
+
+/**
+ * Parser type names of the integer types, whose range limits must be integers.
+ *
+ * @type {Set<string>}
+ */
+const integerTypes = new Set(['Unsigned', 'Integer', 'INTEGER']);
+
+/**
+ * Validates parsed definitions and returns all semantic problems found.
+ *
+ * @param {Array<Object>} definitions - Parsed definitions as returned by `parse()`
+ * @param {Object} [options] - Validation options
+ * @param {Array<Object|Function>} [options.rules] - Rule set for known types that
+ *        `normalize()` is given (the default rules if not given)
+ * @returns {Array<Object>} Diagnostics, each as `{ severity, code, message, name, path, line }`
+ *          (`line` is omitted without source locations, `path` for definitions themselves)
+ */
+export function validate(definitions, { rules } = {}) {
+    const diagnostics = [];
+    for (const definition of definitions) {
+        validateLimits(definition, definition, [], diagnostics);
+        validateItems(definition, definition, [], diagnostics, rules);
+    }
+    return diagnostics;
+}
+
+/**
+ * Checks the items of a definition or nested type and recurses into inline types.
+ *
+ * @param {Object} definition - The top-level definition being validated
+ * @param {Object} type - The definition or item whose items are checked
+ * @param {Array<string>} path - Item names leading from the definition to `type`
+ * @param {Array<Object>} diagnostics - Diagnostics collected so far
+ * @param {Array<Object|Function>} [rules] - Rule set for known types
+ */
+function validateItems(definition, type, path, diagnostics, rules) {
+    if (!type.items) {
+        return;
+    }
+
+    if (type.extensible && !hasProprietaryRange(definition, type, path, rules)) {
+        const name = [definition.name, ...path].join('.');
+        const diagnostic = {
+            severity: 'warning', code: 'UNKNOWN_PROPRIETARY_RANGE',
+            message: `Proprietary range of extensible '${name}' cannot be determined from its comment`,
+            name: definition.name
+        };
+        if (path.length) {
+            diagnostic.path = path.join('.');
+        }
+        if (type.location) {
+            diagnostic.line = type.location.start.line;
+        }
+        diagnostics.push(diagnostic);
+    }
+
+    const isSimpleType = ['BitString', 'Enumerated'].includes(type.type);
+    const kind = {
+        BitString: 'Bit',
+        Enumerated: 'Value',
+        CHOICE: 'Option',
+        SEQUENCE: 'Field'
+    }[type.type];
+
+    const names = new Map();
+    const numbers = new Map();
+
+    for (const item of type.items) {
+        const itemPath = [...path, item.name].join('.');
+
+        /**
+         * Records a diagnostic for the current item.
+         */
+        const report = (code, message) => {
+            const diagnostic = { severity: 'error', code, message, name: definition.name, path: itemPath };
+            if (item.location) {
+                diagnostic.line = item.location.start.line;
+            }
+            diagnostics.push(diagnostic);
+        };
+
+        if (names.has(item.name)) {
+            report('DUPLICATE_NAME', `${kind} name '${item.name}' is already used in '${definition.name}'`);
+        } else {
+            names.set(item.name, item);
+        }
+
+        if (item.number !== undefined) {
+            const other = numbers.get(item.number);
+            if (other && isSimpleType) {
+                report('DUPLICATE_NUMBER',
+                    `${kind} '${item.name}' has the same number (${item.number}) as '${other.name}'`);
+            } else if (other) {
+                report('DUPLICATE_TAG',
+                    `${kind} '${item.name}' has the same context tag [${item.number}] as '${other.name}'`);
+            } else {
+                numbers.set(item.number, item);
+            }
+        }
+
+        if (type.type === 'BitString' && type.size && item.number >= type.size.max) {
+            report('BIT_OUT_OF_RANGE',
+                `Bit '${item.name}' at position ${item.number} exceeds the declared size of ${type.size.max} bits`);
+        }
+
+        if (!isSimpleType) {
+            validateLimits(definition, item, [...path, item.name], diagnostics);
+            validateItems(definition, item, [...path, item.name], diagnostics, rules);
+        }
+    }
+}
+
+/**
+ * Checks that the range limits of an integer type are integers.
+ *
+ * @param {Object} definition - The top-level definition being validated
+ * @param {Object} type - The definition or item whose range is checked
+ * @param {Array<string>} path - Item names leading from the definition to `type`
+ * @param {Array<Object>} diagnostics - Diagnostics collected so far
+ */
+function validateLimits(definition, type, path, diagnostics) {
+    if (!type.range || !integerTypes.has(type.type)) {
+        return;
+    }
+    for (const limit of [type.range.min, type.range.max]) {
+        if (typeof limit === 'number' && Number.isFinite(limit) && !Number.isInteger(limit)) {
+            const diagnostic = {
+                severity: 'error', code: 'NON_INTEGER_LIMIT',
+                message: `Range limit ${limit} of integer type '${[definition.name, ...path].join('.')}' is not an integer`,
+                name: definition.name
+            };
+            if (path.length) {
+                diagnostic.path = path.join('.');
+            }
+            if (type.location) {
+                diagnostic.line = type.location.start.line;
+            }
+            diagnostics.push(diagnostic);
+            return;
+        }
+    }
+}
+
+/**
+ * Checks whether normalizing an extensible type yields a proprietary range
+ * other than the empty placeholder (`{ from: 1, to: 0 }`).
+ */
+function hasProprietaryRange(definition, type, path, rules) {
+    // Nested types are named by their path, so that they are not taken for predefined types
+    const name = path.length ? [definition.name, ...path].join('.') : definition.name;
+    const { proprietary } = normalize({ ...type, name }, { rules }).type ?? {};
+    return !(proprietary?.from === 1 && proprietary?.to === 0);
+}
@@ -0,0 +1,50 @@
+// SPDX-FileCopyrightText: Copyright 2024-2026, The BAClib Initiative and Contributors
+// SPDX-License-Identifier: EPL-2.0
+
+// Parser benchmark on a multi-megabyte input.
+//
+// The input repeats the valid test data files with renamed definitions (like a
+// complete clause 21 plus vendor extensions), so that the parser has to handle
+// many productions in one content string.
+//
+// Usage: npm run benchmark [-- <megabytes>]
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parse } from '../src/index.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const VALID_DATA_DIR = path.join(__dirname, 'valid-data');
+
+const megabytes = Number(process.argv[2] ?? 4);
+const runs = 3;
+
+// Build the input from the test data, renaming the definitions of every copy
+const sample = fs.readdirSync(VALID_DATA_DIR)
+    .filter(file => file.endsWith('.asn1'))
+    .map(file => fs.readFileSync(path.join(VALID_DATA_DIR, file), 'utf8'))
+    .join('\n');
+const copies = [];
+let size = 0;
+for (let copy = 0; size < megabytes * 1024 * 1024; copy++) {
+    const text = sample.replace(/^([A-Z][0-9A-Za-z-]*)(\s*::=)/gm, `$1V${copy}$2`);
+    copies.push(text);
+    size += text.length + 1;
+}
+const content = copies.join('\n');
+
+console.log(`Input: ${(content.length / 1024 / 1024).toFixed(1)} MB, ${content.split('\n').length} lines`);
+
+let best = Infinity;
+let definitions = 0;
+for (let run = 0; run < runs; run++) {
+    const start = process.hrtime.bigint();
+    definitions = parse(content).length;
+    const milliseconds = Number(process.hrtime.bigint() - start) / 1e6;
+    best = Math.min(best, milliseconds);
+    console.log(`Run ${run + 1}: ${milliseconds.toFixed(0)} ms`);
+}
+
+console.log(`Definitions: ${definitions}`);
+console.log(`Best: ${best.toFixed(0)} ms (${(content.length / 1024 / 1024 / (best / 1000)).toFixed(2)} MB/s)`);
@@ -1,10 +1,27 @@
 // SPDX-FileCopyrightText: Copyright 2024-2026, The BAClib Initiative and Contributors
 // SPDX-License-Identifier: EPL-2.0
 
+import assert from 'assert';
 import fs from 'fs';
+import os from 'os';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { parse, normalize, ParserError } from '../src/index.js';
+import { createParser, defaultRules, parse, normalize, normalizeAll, predefinedTypes, ParserError } from '../src/index.js';
+import { run } from '../src/cli.js';
+import { encode, decode, CodecError } from '../src/codec.js';
+import { denormalize } from '../src/denormalize.js';
+import { diff } from '../src/diff.js';
+import { extract } from '../src/extract.js';
+import { generatePredefined } from '../src/generate-predefined.js';
+import { createLanguageServer, createMessageReader, formatMessage, listen } from '../src/language-server.js';
+import { predefinedDefinitions } from '../src/predefined.js';
+import { toJsonSchema } from '../src/json-schema.js';
+import { parseDirectory, parseFiles } from '../src/project.js';
+import { createRegistry } from '../src/registry.js';
+import { stringify } from '../src/stringify.js';
+import { toTypeScript } from '../src/typescript.js';
+import { validate } from '../src/validate.js';
+import { validateValue } from '../src/validate-value.js';
 
 // Get __dirname equivalent in ES modules
 const __filename = fileURLToPath(import.meta.url);
@@ -19,6 +36,7 @@ const OUTPUT_HTML = path.join(__dirname, 'test-report.html');
 const results = {
     valid: [],
     invalid: [],
+    features: [],
     summary: {
         totalTests: 0,
         passed: 0,
@@ -49,6 +67,10 @@ function logSection(title) {
     console.log('='.repeat(80));
 }
 
+function formatSeries(series) {
+    return typeof series === 'object' ? `${series.min}..${series.max === Infinity ? 'MAX' : series.max}` : series;
+}
+
 function logSubSection(title) {
     console.log('\n' + '-'.repeat(80));
     log(title, 'cyan');
@@ -99,7 +121,7 @@ function parseFile(filePath, shouldSucceed) {
                     console.log(`    Primitive Tag: [APPLICATION ${def.primitive}]`);
                 }
                 if (def.series !== undefined) {
-                    console.log(`    Series: ${def.series === true ? 'SEQUENCE OF' : `SEQUENCE SIZE (${def.series}) OF`}`);
+                    console.log(`    Series: ${def.series === true ? 'SEQUENCE OF' : `SEQUENCE SIZE (${formatSeries(def.series)}) OF`}`);
                 }
                 if (def.range) {
                     console.log(`    Range: (${def.range.min}..${def.range.max})`);
@@ -155,6 +177,7 @@ function parseFile(filePath, shouldSucceed) {
         result.success = false;
         result.error = {
             name: error.name,
+            code: error.code,
             message: error.message,
             line: error.line || 'N/A'
         };
@@ -163,6 +186,9 @@ function parseFile(filePath, shouldSucceed) {
         if (!shouldSucceed) {
             log(`✓ PASS - Failed as expected (${result.executionTime}ms)`, 'green');
             log(`  Error: ${error.name}`, 'cyan');
+            if (error.code) {
+                log(`  Code: ${error.code}`, 'cyan');
+            }
             log(`  Message: ${error.message}`, 'cyan');
             if (error.line) {
                 log(`  Line: ${error.line}`, 'cyan');
@@ -200,6 +226,1031 @@ function processDirectory(dirPath, shouldSucceed) {
     return testResults;
 }
 
+// Run a single feature check (the check function throws on failure)
+function check(title, fn) {
+    const result = { title, success: false, error: null };
+
+    try {
+        fn();
+        result.success = true;
+        log(`✓ PASS - ${title}`, 'green');
+        results.summary.passed++;
+    } catch (error) {
+        result.error = error.message;
+        log(`✗ FAIL - ${title}`, 'red');
+        log(`  ${error.message}`, 'red');
+        results.summary.failed++;
+    }
+
+    results.summary.totalTests++;
+    results.features.push(result);
+}
+
+// Return the error thrown by a function (or null if it does not throw)
+function catchError(fn) {
+    try {
+        fn();
+    } catch (error) {
+        return error;
+    }
+    return null;
+}
+
+// Feature checks for APIs beyond parsing single files
+function runFeatureChecks() {
+
+    check('parse() attaches source locations on request', () => {
+        const [definition] = parse('A ::= SEQUENCE {\n    b [0] Unsigned,\n    c [1] Real\n}', { locations: true });
+        assert.deepEqual(definition.location, {
+            start: { line: 1, column: 1, offset: 0 },
+            end: { line: 4, column: 2, offset: 53 }
+        });
+        assert.deepEqual(definition.items[1].location, {
+            start: { line: 3, column: 5, offset: 41 },
+            end: { line: 3, column: 15, offset: 51 }
+        });
+        assert.equal(parse('A ::= Unsigned')[0].location, undefined);
+    });
+
+    check('ParserError carries column, offset and code frame', () => {
+        const error = catchError(() => parse('Flags ::= BIT STRING {\n    has-error (0),\n    is-faulty (1.5)\n}'));
+
+        assert.ok(error instanceof ParserError);
+        assert.deepEqual([error.line, error.column, error.offset], [3, 15, 56]);
+        assert.equal(error.frame, [
+            '  2 |     has-error (0),',
+            '> 3 |     is-faulty (1.5)',
+            '    |               ^',
+            '  4 | }'
+        ].join('\n'));
+
+        // Columns are 1-based at the start of the content too
+        const first = new ParserError('Unexpected line break', '\nA ::= Unsigned', 0);
+        assert.deepEqual([first.line, first.column, first.offset], [1, 1, 0]);
+    });
+
+    check('ParserError carries error codes, expected tokens and hints', () => {
+        const errors = [
+            'A ::= SEQUENCE { a [0] Unsigned OPTINAL }',
+            'A ::= SEQUENCE { Device [0] Unsigned }',
+            'A ::= SEQENCE { a [0] Unsigned }',
+            'A ::= Unsigned (9..1)'
+        ].map(content => catchError(() => parse(content)));
+
+        assert.deepEqual(errors.map(error => [error.code, error.hint]), [
+            ['CLOSING_BRACE_EXPECTED', "did you mean 'OPTIONAL'?"],
+            ['ITEM_NAME_EXPECTED', "item names are lowercase, did you mean 'device'?"],
+            ['ITEMS_NOT_ALLOWED', "did you mean 'SEQUENCE'?"],
+            ['INVALID_RANGE', undefined]
+        ]);
+        assert.deepEqual(errors[0].expected, ["','", "'}'", "'OPTIONAL'"]);
+        assert.equal(errors[0].message, "Expected ',', '}' or 'OPTIONAL' but found 'OPTINAL'; did you mean 'OPTIONAL'?");
+        assert.ok(errors.every(error => !error.message.includes('/^')));
+    });
+
+    check('invalid data files fail with the expected error codes', () => {
+        const codes = Object.fromEntries(results.invalid.map(result => [result.fileName, result.error?.code]));
+        assert.deepEqual(codes, {
+            'baclib-alias-01--invalid.asn1': 'INVALID_RANGE',
+            'baclib-alias-02--invalid.asn1': 'INVALID_CONSTRAINT',
+            'baclib-alias-03--invalid.asn1': 'TYPE_NAME_EXPECTED',
+            'baclib-alias-04--invalid.asn1': 'INVALID_CONSTRAINT',
+            'baclib-alias-05--invalid.asn1': 'ASSIGNMENT_EXPECTED',
+            'baclib-bitstring-01--invalid.asn1': 'ITEM_NUMBER_EXPECTED',
+            'baclib-bitstring-02--invalid.asn1': 'ITEM_NAME_EXPECTED',
+            'baclib-characterstring-01--invalid.asn1': 'INVALID_TAG',
+            'baclib-choice-01--invalid.asn1': 'CLOSING_BRACE_EXPECTED',
+            'baclib-choice-02--invalid.asn1': 'ITEM_NAME_EXPECTED',
+            'baclib-choice-03--invalid.asn1': 'TYPE_NAME_EXPECTED',
+            'baclib-enumeration-01--invalid.asn1': 'ITEM_NUMBER_EXPECTED',
+            'baclib-enumeration-02-invalid.asn1': 'TYPE_NAME_EXPECTED',
+            'baclib-octetstring-01--invalid.asn1': 'INVALID_CONSTRAINT',
+            'baclib-octetstring-02--invalid.asn1': 'INVALID_RANGE',
+            'baclib-octetstring-03--invalid.asn1': 'INVALID_CONSTRAINT',
+            'baclib-sequence-01--invalid.asn1': 'CLOSING_BRACE_EXPECTED',
+            'baclib-sequence-02--invalid.asn1': 'CLOSING_BRACE_EXPECTED',
+            'baclib-sequence-03--invalid.asn1': 'TYPE_NAME_EXPECTED'
+        });
+    });
+
+    check('parse() collects all errors in recovery mode', () => {
+        const { definitions, errors } = parse([
+            'Broken ::= ENUMERATED { a (N) }',
+            'Fine ::= Unsigned (0..5)',
+            'Open ::= CHOICE {',
+            '    x [0] Unsigned',
+            'lowercase ::= INTEGER',
+            'Last ::= Real'
+        ].join('\n'), { recover: true });
+
+        assert.deepEqual(definitions.map(d => d.name), ['Fine', 'Last']);
+        assert.ok(errors.every(error => error instanceof ParserError));
+        assert.deepEqual(errors.map(error => error.line), [1, 5, 5]);
+        assert.throws(() => parse('Broken ::= ENUMERATED { a (N) }'), ParserError);
+    });
+
+    check('stringify() round-trips parsed definitions of all valid data files', () => {
+        const content = results.valid.map(result => result.content).join('\n');
+        const definitions = parse(content);
+        assert.deepStrictEqual(parse(stringify(definitions)), definitions);
+        assert.equal(stringify(parse('A ::= BIT STRING {\n  on (0), -- first\n  off (1)\n}')), [
+            'A ::= BIT STRING {',
+            '    on (0), -- first',
+            '    off (1)',
+            '}',
+            ''
+        ].join('\n'));
+    });
+
+    check('stringify() writes special limits that parse() reads back', () => {
+        const definitions = parse([
+            'A ::= Real (PLUS-INFINITY)',
+            'B ::= Real (MINUS-INFINITY..0)',
+            'C ::= Double (NOT-A-NUMBER)',
+            'D ::= REAL (MIN..MAX)',
+            'E ::= Integer (MIN..MAX)',
+            'F ::= SEQUENCE SIZE (0..MAX) OF Unsigned',
+            'G ::= Integer (-0..5)'
+        ].join('\n'));
+        const text = stringify(definitions);
+        assert.deepStrictEqual(parse(text), definitions);
+        assert.deepEqual(text.split('\n\n').map(definition => definition.trim()), [
+            'A ::= Real (PLUS-INFINITY)',
+            'B ::= Real (MINUS-INFINITY..0)',
+            'C ::= Double (NOT-A-NUMBER)',
+            'D ::= REAL (MINUS-INFINITY..PLUS-INFINITY)',
+            'E ::= Integer (MIN..MAX)',
+            'F ::= SEQUENCE SIZE (0..MAX) OF Unsigned',
+            'G ::= Integer (-0..5)'
+        ]);
+    });
+
+    check('stringify() writes normalized definitions with original names', () => {
+        const definitions = parse([
+            'BACnetDateRange ::= SEQUENCE { start-date [0] Date, end-date [1] Date OPTIONAL }',
+            'BACnetLimit ::= Unsigned32 (0..1000)',
+            'BACnetMode ::= ENUMERATED { on (1), off (0) }'
+        ].join('\n'));
+        const normalized = definitions.map(definition => normalize(definition));
+        const text = stringify(normalized);
+
+        assert.ok(text.startsWith('BACnetDateRange ::= SEQUENCE {\n    start-date [0] Date,'));
+        assert.deepStrictEqual(parse(text).map(definition => normalize(definition)), normalized);
+    });
+
+    check('createRegistry() resolves references and reports problems', () => {
+        const registry = createRegistry(parse([
+            'Range ::= SEQUENCE {',
+            '    start-date [0] Date,',
+            '    end-date [1] BAClibDate OPTIONAL',
+            '}',
+            'Alias ::= Other',
+            'Other ::= Alias',
+            'Small ::= Unsigned (0..5)',
+            'Small ::= INTEGER'
+        ].join('\n'), { locations: true }));
+
+        assert.deepEqual(registry.diagnostics.map(d => [d.code, d.name, d.line]), [
+            ['DUPLICATE_DEFINITION', 'Small', 8],
+            ['UNDEFINED_TYPE', 'Range', 3],
+            ['ALIAS_CYCLE', 'Alias', 5],
+            ['UNUSED_DEFINITION', 'Range', 1],
+            ['UNUSED_DEFINITION', 'Small', 7]
+        ]);
+        assert.equal(registry.resolve('Alias'), undefined);
+        assert.equal(registry.resolve('Small').name, 'unsigned');
+        assert.equal(registry.lookup('REAL').name, 'real');
+        assert.deepEqual(registry.get('small'), { alias: 'Small', name: 'small', type: { base: 'unsigned', minimum: 0, maximum: 5 } });
+    });
+
+    check('validate() reports conflicting names, numbers and tags', () => {
+        const diagnostics = validate(parse([
+            'Mode ::= ENUMERATED { a (1), b (1), a (2) }',
+            'Flags ::= BIT STRING (SIZE (2)) { x (0), y (2) }',
+            'Record ::= SEQUENCE {',
+            '    value [0] Unsigned,',
+            '    value [1] Real,',
+            '    inner [2] CHOICE { p [0] Unsigned, q [0] Real }',
+            '}',
+            'Level ::= Integer (0..1.5)',
+            'Sample ::= SEQUENCE { value [0] Unsigned (0.5..10), scale [1] Real (0..1.5) }'
+        ].join('\n'), { locations: true }));
+
+        assert.deepEqual(diagnostics.map(d => [d.code, d.name, d.path, d.line]), [
+            ['DUPLICATE_NUMBER', 'Mode', 'b', 1],
+            ['DUPLICATE_NAME', 'Mode', 'a', 1],
+            ['BIT_OUT_OF_RANGE', 'Flags', 'y', 2],
+            ['DUPLICATE_NAME', 'Record', 'value', 5],
+            ['DUPLICATE_TAG', 'Record', 'inner.q', 6],
+            ['NON_INTEGER_LIMIT', 'Level', undefined, 8],
+            ['NON_INTEGER_LIMIT', 'Sample', 'value', 9]
+        ]);
+    });
+
+    check('createRegistry() expands types to their BACnet primitives', () => {
+        const registry = createRegistry(parse('Count ::= Unsigned (1..MAX)\nCounts ::= SEQUENCE SIZE (3) OF Count'));
+
+        assert.deepEqual(registry.expand('Count'), { kind: 'unsigned', tag: 2, minimum: 1n });
+        assert.deepEqual(registry.expand('Unsigned64'), { kind: 'unsigned', tag: 2, minimum: 0n, maximum: 18446744073709551615n });
+        assert.deepEqual(registry.expand('counts'), { kind: 'sequence-of', count: 3, element: registry.expand('count') });
+        // Non-integer limits of integer types (reported by validate()) are rounded inward
+        assert.deepEqual(createRegistry(parse('A ::= Integer (-1.5..1.5)')).expand('A'), { kind: 'integer', tag: 3, minimum: -1n, maximum: 1n });
+        assert.deepEqual(registry.expand('Time'), { kind: 'time', tag: 11 });
+        assert.throws(() => registry.expand('Unknown'), /Type 'Unknown' is not defined/);
+    });
+
+    check('encode() and decode() convert values to and from BACnet tagged data', () => {
+        const registry = createRegistry(parse([
+            'ReadPropertyACK ::= SEQUENCE {',
+            '    object-identifier [0] BACnetObjectIdentifier,',
+            '    property-identifier [1] BACnetPropertyIdentifier,',
+            '    property-array-index [2] Unsigned OPTIONAL,',
+            '    property-value [3] ABSTRACT-SYNTAX.&Type',
+            '}',
+            'BACnetPropertyIdentifier ::= ENUMERATED { object-name (77), present-value (85), ... }',
+            'BACnetStatusFlags ::= BIT STRING { in-alarm (0), fault (1), overridden (2), out-of-service (3) }',
+            'BACnetDateTime ::= SEQUENCE { date Date, time Time }',
+            'BACnetTimeStamp ::= CHOICE { time [0] Time, sequence-number [1] Unsigned (0..65535), datetime [2] BACnetDateTime }',
+            'TimeStamps ::= SEQUENCE OF BACnetTimeStamp'
+        ].join('\n')));
+        const hex = bytes => Buffer.from(bytes).toString('hex');
+        const roundTrip = (type, value, expected) => {
+            const bytes = encode(type, value, registry);
+            assert.equal(hex(bytes), expected);
+            assert.deepStrictEqual(decode(type, bytes, registry), value);
+        };
+
+        roundTrip('Unsigned', 72, '2148');
+        roundTrip('Integer', -129, '32ff7f');
+        roundTrip('Unsigned64', 18446744073709551615n, '2508ffffffffffffffff');
+        roundTrip('Real', 72, '4442900000');
+        roundTrip('Boolean', true, '11');
+        roundTrip('CharacterString', 'Hi', '73004869');
+        roundTrip('BACnetStatusFlags', ['in-alarm'], '820480');
+        roundTrip('BACnetObjectIdentifier', { type: 8, instance: 1234 }, 'c4020004d2');
+        roundTrip('ReadPropertyACK', {
+            'object-identifier': { type: 0, instance: 1 },
+            'property-identifier': 'present-value',
+            'property-value': Uint8Array.of(0x44, 0x42, 0x90, 0x00, 0x00)
+        }, '0c0000000119553e44429000003f');
+        roundTrip('TimeStamps', [
+            { 'datetime': { date: { year: 2026, month: 10, day: 19, weekday: null }, time: { hour: 12, minute: 0, second: 0, hundredths: 0 } } },
+            { 'sequence-number': 7 }
+        ], '2ea47e0a13ffb40c0000002f1907');
+        // Large payloads are appended without spreading them into push()
+        const payload = new Uint8Array(500000).fill(0xA5);
+        assert.deepStrictEqual(decode('OctetString', encode('OctetString', payload, registry), registry), payload);
+
+        assert.throws(() => encode('ReadPropertyACK', {}, registry), CodecError);
+        assert.throws(() => decode('ReadPropertyACK', Uint8Array.of(0x21, 0x01), registry),
+            { path: 'object-identifier', message: /Expected context tag \[0\] but found application tag 2/ });
+        assert.throws(() => decode('CharacterString', Uint8Array.of(0x72, 0x00, 0xff), registry),
+            { name: 'CodecError', message: 'Invalid UTF-8 character string' });
+    });
+
+    check('toJsonSchema() links named types through $defs', () => {
+        const schema = toJsonSchema(parse([
+            'BACnetSetpoint ::= SEQUENCE {',
+            '    value [0] REAL,',
+            '    limit [1] Unsigned16 OPTIONAL,',
+            '    key [2] OCTET STRING (SIZE (2..4)),',
+            '    source [3] CHOICE { object [0] BACnetObjectIdentifier, none [1] NULL }',
+            '}',
+            'BACnetPropertyIdentifier ::= ENUMERATED { present-value (85), ... }',
+            'BACnetSetpoints ::= SEQUENCE SIZE (2) OF BACnetSetpoint'
+        ].join('\n')).map(definition => normalize(definition)), { root: 'setpoints' });
+
+        assert.equal(schema.$schema, 'https://json-schema.org/draft/2020-12/schema');
+        assert.equal(schema.$ref, '#/$defs/setpoints');
+        assert.deepEqual(Object.keys(schema.$defs), [
+            'setpoint', 'real', 'unsigned-16', 'unsigned', 'octet-string', 'object-identifier', 'null',
+            'property-identifier', 'setpoints'
+        ]);
+        assert.deepEqual(schema.$defs.setpoints, { title: 'BACnetSetpoints', type: 'array', items: { $ref: '#/$defs/setpoint' }, minItems: 2, maxItems: 2 });
+        assert.deepEqual(schema.$defs.setpoint.required, ['value', 'key', 'source']);
+        assert.deepEqual(schema.$defs.setpoint.properties.key, { $ref: '#/$defs/octet-string', minLength: 4, maxLength: 8 });
+        assert.deepEqual(schema.$defs.setpoint.properties.source.oneOf[1],
+            { type: 'object', properties: { none: { $ref: '#/$defs/null' } }, required: ['none'], additionalProperties: false });
+        assert.deepEqual(schema.$defs['unsigned-16'], { title: 'Unsigned16', $ref: '#/$defs/unsigned', minimum: 0, maximum: 65535 });
+        assert.deepEqual(schema.$defs['property-identifier'].anyOf,
+            [{ enum: ['present-value'] }, { type: 'integer', minimum: 512, maximum: 4194303 }]);
+        assert.throws(() => toJsonSchema([{ name: 'broken', type: 'missing' }]), /Type 'missing' is not defined/);
+    });
+
+    check('toTypeScript() declares interfaces, unions and bigint types', () => {
+        const declarations = toTypeScript(parse([
+            'BACnetReading ::= SEQUENCE {',
+            '    stamp [0] BACnetTimeStamp, -- When the value was read',
+            '    value [1] REAL OPTIONAL,',
+            '    counter [2] Unsigned64,',
+            '    flags [3] BIT STRING { low (0), high (1) },',
+            '    objects [4] SEQUENCE OF BACnetObjectIdentifier',
+            '}',
+            '-- A single reading',
+            'BACnetTimeStamp ::= CHOICE { time [0] Time, sequence-number [1] Unsigned (0..65535) }',
+            'BACnetMode ::= ENUMERATED { on (1), off (0) }'
+        ].join('\n')).map(definition => normalize(definition)));
+
+        assert.equal(declarations, [
+            '/** A single reading */',
+            'export interface BACnetReading {',
+            '    /** When the value was read */',
+            '    stamp: BACnetTimeStamp;',
+            '    value?: number;',
+            '    counter: bigint;',
+            "    flags: Array<'low' | 'high'>;",
+            '    objects: BACnetObjectIdentifier[];',
+            '}',
+            '',
+            'export type BACnetTimeStamp =',
+            '    | { time: BACnetTime }',
+            "    | { 'sequence-number': number };",
+            '',
+            "export type BACnetMode = 'off' | 'on';",
+            '',
+            '/** Object type and instance number */',
+            'export interface BACnetObjectIdentifier {',
+            '    type: number;',
+            '    instance: number;',
+            '}',
+            '',
+            '/** Time with `null` for unspecified parts */',
+            'export interface BACnetTime {',
+            '    hour: number | null;',
+            '    minute: number | null;',
+            '    second: number | null;',
+            '    hundredths: number | null;',
+            '}',
+            ''
+        ].join('\n'));
+    });
+
+    check('validateValue() reports path-qualified problems', () => {
+        const registry = createRegistry(parse([
+            'BACnetPropertyIdentifier ::= ENUMERATED { object-name (77), present-value (85), ... }',
+            'BACnetPropertyValue ::= SEQUENCE {',
+            '    property-identifier [0] BACnetPropertyIdentifier,',
+            '    value [2] ABSTRACT-SYNTAX.&Type,',
+            '    priority [3] Unsigned (1..16) OPTIONAL',
+            '}',
+            'WriteRequest ::= SEQUENCE {',
+            '    list-of-values [1] SEQUENCE OF BACnetPropertyValue,',
+            '    name [2] CharacterString (SIZE (1..4)),',
+            '    flags [3] BIT STRING { in-alarm (0), fault (1) },',
+            '    stamp [4] CHOICE { sequence-number [0] Unsigned, date [1] Date }',
+            '}'
+        ].join('\n')));
+        const value = {
+            'list-of-values': [
+                { 'property-identifier': 'present-value', 'value': Uint8Array.of(0x21, 0x01) },
+                { 'property-identifier': 600, 'value': Uint8Array.of(0x00), 'priority': 17 },
+                { 'property-identifier': 5000000000, 'value': Uint8Array.of(0x00) }
+            ],
+            'name': 'hello',
+            'flags': ['fault', 'unknown'],
+            'stamp': { 'sequence-number': 1, 'date': { year: 2026, month: 10, day: 19, weekday: 1 } }
+        };
+
+        assert.deepEqual(validateValue('WriteRequest', value, registry).map(error => `${error.path}: ${error.message}`), [
+            'list-of-values[1].priority: 17 exceeds maximum 16',
+            'list-of-values[2].property-identifier: 5000000000 exceeds maximum 4294967295',
+            'name: length 5 exceeds maximum length 4',
+            "flags: unknown bit 'unknown'",
+            "stamp: expected an object with exactly one of 'sequence-number', 'date'"
+        ]);
+        assert.deepEqual(validateValue('Unsigned64', 18446744073709551615n), []);
+        assert.deepEqual(validateValue('Integer8', -129), [{ path: '', message: '-129 is below minimum -128' }]);
+        assert.deepEqual(validateValue('WriteRequest', {}, registry).map(error => error.message), [
+            "missing required field 'list-of-values'",
+            "missing required field 'name'",
+            "missing required field 'flags'",
+            "missing required field 'stamp'"
+        ]);
+    });
+
+    check('the bacnet-asn1 command parses, normalizes and checks files', () => {
+        const files = {
+            'mode.asn1': 'BACnetMode ::= ENUMERATED { on (1), off (0) }\nBACnetLimit ::= Unsigned (0..MAX)',
+            'broken.asn1': 'Fine ::= REAL\nBroken ::= ENUMERATED { a (N) }',
+            'a.asn1': 'A ::= SEQUENCE { s [0] Small }\nSmall ::= Unsigned (0..5)',
+            'b.asn1': '\n\nSmall ::= INTEGER'
+        };
+        const invoke = (...args) => {
+            const output = { stdout: '', stderr: '' };
+            const code = run(args, {
+                readFile: file => {
+                    if (!(file in files)) {
+                        throw new Error('no such file');
+                    }
+                    return files[file];
+                },
+                readStdin: () => files['mode.asn1'],
+                stdout: text => { output.stdout += text; },
+                stderr: text => { output.stderr += text; }
+            });
+            return { code, ...output };
+        };
+
+        const parsed = invoke('parse', 'mode.asn1', '--name', 'BACnetLimit');
+        assert.equal(parsed.code, 0);
+        assert.deepEqual(JSON.parse(parsed.stdout), [{ name: 'BACnetLimit', type: 'Unsigned', range: { min: 0, max: 'MAX' } }]);
+
+        const normalized = invoke('normalize', '--format', 'ndjson', '-n', 'm*');
+        assert.equal(normalized.code, 0);
+        assert.deepEqual(normalized.stdout.trimEnd().split('\n').map(line => JSON.parse(line).name), ['mode']);
+
+        const failed = invoke('parse', 'mode.asn1', 'broken.asn1');
+        assert.equal(failed.code, 1);
+        assert.equal(failed.stdout, '');
+        assert.ok(failed.stderr.startsWith("broken.asn1:2:27: error: Expected item number such as (1) but found '(N)' [ITEM_NUMBER_EXPECTED]\n"));
+
+        const checked = invoke('check', 'broken.asn1');
+        assert.equal(checked.code, 1);
+        assert.deepEqual(checked.stderr.trimEnd().split('\n'), [
+            "broken.asn1:2:27: error: Expected item number such as (1) but found '(N)' [ITEM_NUMBER_EXPECTED]",
+            "broken.asn1:1: warning: Type 'Fine' is never referenced [UNUSED_DEFINITION]"
+        ]);
+
+        // Problems name the file of the definition they are about
+        assert.deepEqual(invoke('check', 'a.asn1', 'b.asn1').stderr.trimEnd().split('\n'), [
+            "b.asn1:3: error: Type 'Small' is already defined at line 2 in 'a.asn1' [DUPLICATE_DEFINITION]",
+            "a.asn1:1: warning: Type 'A' is never referenced [UNUSED_DEFINITION]"
+        ]);
+
+        assert.equal(invoke('check', 'mode.asn1').code, 0);
+        assert.equal(invoke('parse', 'missing.asn1').code, 1);
+        assert.equal(invoke('convert').code, 2);
+        assert.equal(invoke('parse', '--format', 'xml').code, 2);
+    });
+
+    check('extract() finds productions in text copied from the standard', () => {
+        const { content, ignored } = extract([
+            '21.6 Base Types',
+            'The following productions are used by the services.',
+            'BACnetDateRange ::= SEQUENCE {',
+            '    start-date Date,',
+            '\fANSI/ASHRAE Standard 135-2024',
+            '1042',
+            '    end-date Date',
+            '}',
+            '-- belongs to BACnetDateRange',
+            'This paragraph describes the range.',
+            'BACnetLimit ::= Unsigned (0..100)'
+        ].join('\n'));
+
+        assert.deepEqual(ignored.map(range => [range.start, range.end, range.reason]), [
+            [1, 2, 'prose'],
+            [5, 6, 'noise'],
+            [10, 10, 'prose']
+        ]);
+        assert.equal(ignored[1].text, 'ANSI/ASHRAE Standard 135-2024\n1042');
+        const definitions = parse(content, { locations: true });
+        assert.deepEqual(definitions.map(definition => [definition.name, definition.location.start.line]),
+            [['BACnetDateRange', 3], ['BACnetLimit', 11]]);
+        assert.deepEqual(definitions[0].items.map(item => item.name), ['start-date', 'end-date']);
+        assert.equal(definitions[0].comment, 'belongs to BACnetDateRange');
+    });
+
+    check('parse() accepts modules and the registry resolves their imports', () => {
+        const bacnet = parse([
+            'BACnetModule DEFINITIONS IMPLICIT TAGS ::= BEGIN',
+            'EXPORTS BACnetLimit, BACnetFlags;',
+            'BACnetLimit ::= Unsigned (0..100)',
+            'BACnetFlags ::= BIT STRING { a (0) }',
+            'BACnetHidden ::= REAL',
+            'END'
+        ].join('\n'), { modules: true, locations: true });
+        const vendor = parse([
+            'VendorModule { iso member-body(2) 1 } DEFINITIONS ::= BEGIN',
+            'IMPORTS BACnetLimit, BACnetHidden FROM BACnetModule',
+            '        Other FROM OtherModule;',
+            'VendorRecord ::= SEQUENCE { limit [0] BACnetLimit, flags [1] BACnetFlags }',
+            'END'
+        ].join('\n'), { modules: true, locations: true });
+
+        assert.deepEqual(bacnet.definitions.map(definition => definition.name), ['BACnetLimit', 'BACnetFlags', 'BACnetHidden']);
+        const [module] = bacnet.modules;
+        assert.deepEqual([module.name, module.tagging, module.exports, module.imports],
+            ['BACnetModule', 'IMPLICIT', ['BACnetLimit', 'BACnetFlags'], []]);
+        assert.equal(module.definitions[0], bacnet.definitions[0]);
+        assert.deepEqual([module.location.start.line, module.location.end.line], [1, 6]);
+        assert.deepEqual(vendor.modules[0].imports.map(({ names, from }) => ({ names, from })), [
+            { names: ['BACnetLimit', 'BACnetHidden'], from: 'BACnetModule' },
+            { names: ['Other'], from: 'OtherModule' }
+        ]);
+        assert.equal(vendor.modules[0].tagging, 'EXPLICIT');
+        assert.equal(vendor.modules[0].exports, 'ALL');
+
+        // Without options.modules, the wrapper is transparent
+        assert.deepEqual(parse('M DEFINITIONS ::= BEGIN A ::= REAL END'), [{ name: 'A', type: 'REAL' }]);
+        assert.equal(catchError(() => parse('M DEFINITIONS ::= BEGIN A ::= REAL')).code, 'END_EXPECTED');
+        assert.equal(catchError(() => parse('M DEFINITIONS ::= A ::= REAL END')).code, 'INVALID_MODULE_HEADER');
+        assert.equal(catchError(() => parse('M DEFINITIONS ::= BEGIN IMPORTS A B; END')).code, 'INVALID_SYMBOL_LIST');
+
+        const registry = createRegistry([...bacnet.definitions, ...vendor.definitions],
+            { modules: [...bacnet.modules, ...vendor.modules] });
+        assert.equal(registry.lookup('BACnetLimit'), bacnet.definitions[0]);
+        assert.deepEqual(registry.diagnostics.filter(diagnostic => diagnostic.severity === 'error'), [
+            {
+                severity: 'error', code: 'NOT_EXPORTED', name: 'VendorModule', line: 2,
+                message: "Type 'BACnetHidden' imported by 'VendorModule' is not exported by module 'BACnetModule'"
+            },
+            {
+                severity: 'error', code: 'UNDEFINED_MODULE', name: 'VendorModule', line: 3,
+                message: "Module 'OtherModule' imported by 'VendorModule' is not defined"
+            }
+        ]);
+        assert.deepEqual(registry.diagnostics.find(diagnostic => diagnostic.code === 'MISSING_IMPORT'), {
+            severity: 'warning', code: 'MISSING_IMPORT', name: 'VendorRecord', path: 'flags', line: 4,
+            message: "Type 'BACnetFlags' of module 'BACnetModule' is used by 'VendorRecord' without being imported"
+        });
+    });
+
+    check('parse() keeps 64-bit limits exact and accepts special real values', () => {
+        const definitions = parse([
+            'Big ::= Unsigned (0..18446744073709551615)',
+            'Small ::= Integer (-9223372036854775808..-1)',
+            'Float ::= Real (-3.4E38..PLUS-INFINITY)',
+            'Missing ::= Double (NOT-A-NUMBER)',
+            'Any ::= Double (MINUS-INFINITY..1.5e-3)'
+        ].join('\n'));
+
+        assert.deepStrictEqual(definitions.map(definition => definition.range), [
+            { min: 0, max: 18446744073709551615n },
+            { min: -9223372036854775808n, max: -1 },
+            { min: -3.4e38, max: Infinity },
+            { min: NaN, max: NaN },
+            { min: -Infinity, max: 0.0015 }
+        ]);
+        assert.deepStrictEqual(definitions.map(definition => normalize(definition).type), [
+            { base: 'unsigned', minimum: 0, maximum: '18446744073709551615' },
+            { base: 'integer', minimum: '-9223372036854775808', maximum: -1 },
+            { base: 'real', minimum: -3.4e38, maximum: 'Infinity' },
+            { base: 'double', minimum: 'NaN', maximum: 'NaN' },
+            { base: 'double', minimum: '-Infinity', maximum: 0.0015 }
+        ]);
+        // Same encoding as the predefined library
+        assert.deepStrictEqual(normalize(definitions[0]).type.maximum, predefinedTypes.get('unsigned-64').type.maximum);
+        assert.deepStrictEqual(parse(stringify(definitions)), definitions);
+        assert.deepStrictEqual(createRegistry(definitions).expand('Small'),
+            { kind: 'integer', tag: 3, minimum: -9223372036854775808n, maximum: -1n });
+    });
+
+    check('parse() accepts fixed and ranged sizes of SEQUENCE OF', () => {
+        const definitions = parse([
+            'Fixed ::= SEQUENCE SIZE(16) OF Unsigned (0..255)',
+            'Ranged ::= SEQUENCE SIZE(1..255) OF OCTET STRING (SIZE(6))',
+            'Open ::= SEQUENCE (SIZE(0..MAX)) OF Unsigned',
+            'Empty ::= SEQUENCE SIZE(0) OF Unsigned'
+        ].join('\n'));
+
+        assert.deepStrictEqual(definitions.map(({ series, range, size }) => ({ series, range, size })), [
+            { series: 16, range: { min: 0, max: 255 }, size: undefined },
+            { series: { min: 1, max: 255 }, range: undefined, size: { min: 6, max: 6 } },
+            { series: { min: 0, max: Infinity }, range: undefined, size: undefined },
+            { series: 0, range: undefined, size: undefined }
+        ]);
+        assert.deepStrictEqual(definitions.map(definition => normalize(definition).type), [
+            { base: 'unsigned', series: 16, minimum: 0, maximum: 255 },
+            { base: 'octet-string', series: { minimum: 1, maximum: 255 }, length: 6 },
+            { base: 'unsigned', series: { minimum: 0, maximum: 'Infinity' } },
+            { base: 'unsigned', series: 0 }
+        ]);
+        assert.deepStrictEqual(parse(stringify(definitions)), definitions);
+        assert.deepStrictEqual(parse(stringify(definitions.map(definition => normalize(definition)))), definitions);
+        assert.equal(catchError(() => parse('A ::= SEQUENCE SIZE(1..2) Unsigned')).code, 'TYPE_EXPECTED');
+
+        const registry = createRegistry(definitions);
+        assert.deepEqual(validateValue('Ranged', [], registry).map(error => error.message), ['expected at least 1 elements but got 0']);
+        assert.deepEqual(toJsonSchema(definitions.map(definition => normalize(definition))).$defs.ranged,
+            { title: 'Ranged', type: 'array', items: { $ref: '#/$defs/octet-string', minLength: 12, maxLength: 12 }, minItems: 1, maxItems: 255 });
+    });
+
+    check('diff() classes changes between versions as compatible or breaking', () => {
+        const before = [
+            'BACnetMode ::= ENUMERATED { on (0), off (1), auto (2) }',
+            'BACnetRecord ::= SEQUENCE { limit [0] Unsigned (0..255), mode [1] BACnetMode OPTIONAL, note [2] REAL }',
+            'BACnetOld ::= SEQUENCE { x [0] Unsigned }',
+            'BACnetList ::= SEQUENCE SIZE(1..10) OF Unsigned',
+            'BACnetGone ::= REAL'
+        ].join('\n');
+        const after = [
+            'BACnetMode ::= ENUMERATED { on (0), off (1), automatic (2), manual (3) } -- comments are ignored',
+            'BACnetRecord ::= SEQUENCE { limit [0] Unsigned (0..100), mode [3] BACnetMode, extra [4] REAL OPTIONAL }',
+            'BACnetNew ::= SEQUENCE { x [0] Unsigned }',
+            'BACnetList ::= SEQUENCE SIZE(1..20) OF Unsigned'
+        ].join('\n');
+
+        const changes = diff(parse(before), parse(after).map(definition => normalize(definition)));
+        assert.deepEqual(changes.map(change => [change.code, change.compatibility, change.name, change.path]), [
+            ['VALUE_RENAMED', 'compatible', 'mode', 'auto'],
+            ['VALUE_ADDED', 'compatible', 'mode', 'manual'],
+            ['CONSTRAINT_TIGHTENED', 'breaking', 'record', 'limit'],
+            ['TAG_CHANGED', 'breaking', 'record', 'mode'],
+            ['OPTIONALITY_CHANGED', 'breaking', 'record', 'mode'],
+            ['FIELD_REMOVED', 'breaking', 'record', 'note'],
+            ['FIELD_ADDED', 'compatible', 'record', 'extra'],
+            ['TYPE_RENAMED', 'compatible', 'old', undefined],
+            ['CONSTRAINT_LOOSENED', 'compatible', 'list', undefined],
+            ['TYPE_REMOVED', 'breaking', 'gone', undefined]
+        ]);
+        assert.equal(changes[2].message, "Maximum of 'record.limit' tightened from 255 to 100");
+        assert.equal(changes[7].to, 'new');
+        assert.deepEqual(diff(parse(before), parse(before)), []);
+
+        const output = [];
+        const files = { 'old.asn1': before, 'new.asn1': after };
+        const code = run(['diff', 'old.asn1', 'new.asn1', '--name', 'BACnetList'],
+            { readFile: file => files[file], stdout: text => output.push(text) });
+        assert.equal(code, 0);
+        assert.deepEqual(output, ["compatible: Maximum size of 'list' loosened from 10 to 20 [CONSTRAINT_LOOSENED]\n"]);
+        assert.equal(run(['diff', 'old.asn1', 'new.asn1'], { readFile: file => files[file], stdout: () => {} }), 1);
+        assert.equal(run(['diff', 'old.asn1'], { readFile: file => files[file], stderr: () => {} }), 2);
+    });
+
+    check('diff() reports reordered fields and changes of extensibility and proprietary ranges', () => {
+        const ranges = proprietary => `Enumerated values 0-127 are reserved for definition by ASHRAE. Enumerated values ${proprietary} may be used by others.`;
+        const before = [
+            'BACnetPair ::= SEQUENCE { first [0] Unsigned, second [1] Unsigned, third [2] Unsigned }',
+            'BACnetState ::= ENUMERATED { idle (0), busy (1) }',
+            'BACnetEvent ::= ENUMERATED { low (0), high (1), ... }',
+            `BACnetKind ::= ENUMERATED { a (0), ... } -- ${ranges('128-255')}`,
+            `BACnetUnit ::= ENUMERATED { a (0), ... } -- ${ranges('128-1023')}`
+        ].join('\n');
+        const after = [
+            'BACnetPair ::= SEQUENCE { second [1] Unsigned, first [0] Unsigned, fourth [3] Unsigned OPTIONAL }',
+            'BACnetState ::= ENUMERATED { idle (0), busy (1), ... }',
+            'BACnetEvent ::= ENUMERATED { low (0), high (1) }',
+            `BACnetKind ::= ENUMERATED { a (0), ... } -- ${ranges('128-1023')}`,
+            `BACnetUnit ::= ENUMERATED { a (0), ... } -- ${ranges('256-1023')}`
+        ].join('\n');
+
+        const changes = diff(parse(before), parse(after));
+        assert.deepEqual(changes.map(change => [change.code, change.compatibility, change.name, change.path]), [
+            ['FIELD_REMOVED', 'breaking', 'pair', 'third'],
+            ['FIELD_ADDED', 'compatible', 'pair', 'fourth'],
+            ['FIELD_ORDER_CHANGED', 'breaking', 'pair', undefined],
+            ['EXTENSIBILITY_CHANGED', 'compatible', 'state', undefined],
+            ['EXTENSIBILITY_CHANGED', 'breaking', 'event', undefined],
+            ['CONSTRAINT_LOOSENED', 'compatible', 'kind', undefined],
+            ['PROPRIETARY_RANGE_CHANGED', 'compatible', 'kind', undefined],
+            ['PROPRIETARY_RANGE_CHANGED', 'breaking', 'unit', undefined]
+        ]);
+        assert.equal(changes[2].message, "Fields of 'pair' were reordered from first, second to second, first");
+        assert.equal(changes[4].message, "'event' is no longer extensible");
+        assert.equal(changes[7].message, "Proprietary range of 'unit' changed from 128..1023 to 256..1023");
+    });
+
+    check('the language server answers a scripted LSP client', () => {
+        const uri = 'file:///mode.asn1';
+        const text = [
+            'BACnetMode ::= ENUMERATED { on (1), off (0) } -- Operating modes',
+            'BACnetLimit ::= SEQUENCE {',
+            '    mode [0] BACnetMode,',
+            '    max [1] Unsigned OPTIONAL',
+            '}',
+            'Broken ::= ENUMERATED { a (N) }'
+        ].join('\n');
+        const sent = [];
+        let exitCode;
+        const server = createLanguageServer({ send: message => sent.push(message), exit: code => { exitCode = code; } });
+        const request = (id, method, params) => {
+            server.receive({ jsonrpc: '2.0', id, method, params });
+            return sent.at(-1);
+        };
+
+        // Messages are framed with Content-Length headers and may arrive in pieces
+        const framed = formatMessage({ jsonrpc: '2.0', id: 1, method: 'initialize', params: {} })
+            + formatMessage({ jsonrpc: '2.0', method: 'textDocument/didOpen', params: { textDocument: { uri, text } } });
+        const read = createMessageReader(message => server.receive(message));
+        read(framed.slice(0, 10));
+        read(framed.slice(10));
+        assert.equal(sent[0].result.capabilities.hoverProvider, true);
+
+        // Malformed frames do not end the session: frames without length are skipped and
+        // bodies that are not JSON are answered with a ParseError
+        const handlers = {};
+        const responses = [];
+        const decode = createMessageReader(message => responses.push(message));
+        listen({ on: (event, handler) => { handlers[event] = handler; } }, { write: decode });
+        handlers.data('Content-Length: 5\r\n\r\n{bad}');
+        handlers.data('Content-Type: application/vscode-jsonrpc\r\n\r\n');
+        handlers.data(formatMessage({ jsonrpc: '2.0', id: 1, method: 'initialize', params: {} }));
+        assert.deepEqual(responses.map(response => [response.id, response.error?.code]), [[null, -32700], [1, undefined]]);
+        assert.match(responses[0].error.message, /^Parse error: /);
+        assert.deepEqual(sent[1].params.diagnostics, [{
+            range: { start: { line: 5, character: 26 }, end: { line: 5, character: 29 } },
+            severity: 1, code: 'ITEM_NUMBER_EXPECTED', source: 'bacnet-asn1',
+            message: "Expected item number such as (1) but found '(N)'"
+        }]);
+
+        const at = (line, character) => ({ textDocument: { uri }, position: { line, character } });
+        assert.deepEqual(request(2, 'textDocument/definition', at(2, 15)).result,
+            { uri, range: { start: { line: 0, character: 0 }, end: { line: 0, character: 10 } } });
+        assert.deepEqual(request(3, 'textDocument/references', { ...at(0, 3), context: { includeDeclaration: true } })
+            .result.map(location => location.range.start), [{ line: 0, character: 0 }, { line: 2, character: 13 }]);
+        assert.match(request(4, 'textDocument/hover', at(2, 15)).result.contents.value, /^\*\*BACnetMode\*\* → `mode`\n\nOperating modes/);
+        assert.match(request(5, 'textDocument/hover', at(3, 14)).result.contents.value, /"primitive": 2/);
+        assert.equal(request(6, 'textDocument/hover', at(0, 60)).result, null);
+
+        const labels = request(7, 'textDocument/completion', {}).result.map(item => item.label);
+        assert.ok(['BACnetLimit', 'Unsigned', 'OPTIONAL', 'BIT STRING'].every(label => labels.includes(label)));
+        const outline = request(8, 'textDocument/documentSymbol', { textDocument: { uri } }).result;
+        assert.deepEqual(outline.map(symbol => [symbol.name, symbol.children.map(child => child.name)]),
+            [['BACnetMode', ['on', 'off']], ['BACnetLimit', ['mode', 'max']]]);
+
+        assert.equal(request(9, 'textDocument/rename', at(0, 3)).error.code, -32601);
+        assert.equal(request(10, 'shutdown').result, null);
+        server.receive({ jsonrpc: '2.0', method: 'exit' });
+        assert.equal(exitCode, 0);
+    });
+
+    check('normalize() applies default, data and callback rules for known types', () => {
+        const [units, flags, vendor, limit] = parse([
+            'BACnetEngineeringUnits ::= ENUMERATED { percent (98), ... }',
+            'BACnetAuditOperationFlags ::= BIT STRING { read (0), write (1) }',
+            'VendorMode ::= ENUMERATED { off (0), on (1), ... }',
+            'VendorLimit ::= Unsigned (0..100)'
+        ].join('\n'));
+
+        // Default rules: known BACnet types and extensible types
+        assert.equal(normalize(units).type.maximum, 65535);
+        assert.deepEqual(normalize(flags).type.length, { minimum: 2, maximum: 64 });
+        assert.deepEqual(normalize(vendor).type.proprietary, { from: 1, to: 0 });
+
+        // Data rules placed before the default rules override them, callbacks compute traits
+        const rules = [
+            { VendorMode: { maximum: 1023, proprietary: { from: 512, to: 1023 } }, VendorLimit: { maximum: 200 } },
+            (definition, traits) => definition.name === 'BACnetEngineeringUnits' && Object.assign(traits, { maximum: 99999 }),
+            ...defaultRules
+        ];
+        assert.deepEqual(normalize(vendor, { rules }).type.proprietary, { from: 512, to: 1023 });
+        assert.deepEqual(normalize(limit, { rules }).type, { base: 'unsigned', minimum: 0, maximum: 200 });
+        assert.equal(normalize(units, { rules }).type.maximum, 99999);
+        assert.equal(normalize(flags, { rules }).type.length.maximum, 64);
+
+        // Without rules, only the ASN.1 is normalized
+        assert.equal(normalize(units, { rules: [] }).type.maximum, undefined);
+        assert.equal(normalize(vendor, { rules: [] }).type.proprietary, undefined);
+        assert.equal(createRegistry([limit], { rules }).get('VendorLimit').type.maximum, 200);
+
+        const output = [];
+        const files = { 'vendor.asn1': 'VendorLimit ::= Unsigned (0..100)', 'rules.json': '{ "VendorLimit": { "maximum": 150 } }' };
+        assert.equal(run(['normalize', 'vendor.asn1', '--rules', 'rules.json'],
+            { readFile: file => files[file], stdout: text => output.push(text) }), 0);
+        assert.equal(JSON.parse(output.join(''))[0].type.maximum, 150);
+    });
+
+    check('normalize() reads proprietary ranges in the phrasings of the standard', () => {
+        const type = comment => normalize(parse(`A ::= ENUMERATED { a (1), ... } -- ${comment}`)[0]).type;
+        const objects = type('Enumerated values 0-127 are reserved for definition by ASHRAE. '
+            + 'Enumerated values 128-1023 may be used by others subject to the procedures and constraints described in Clause 23.');
+        assert.deepEqual([objects.minimum, objects.maximum, objects.proprietary], [undefined, 1023, { from: 128, to: 1023 }]);
+        const units = type('Enumerated values 0-255 and 47808-49999 are reserved for definition by ASHRAE. '
+            + 'Enumerated values 256-47807, 50000-65535 may be used by others subject to the procedures and constraints described in Clause 23.');
+        assert.deepEqual([units.maximum, units.proprietary], [65535, [{ from: 256, to: 47807 }, { from: 50000, to: 65535 }]]);
+        const shifted = type('Values 1-63 are reserved for definition by ASHRAE. Values 64 through 255 may be used by others.');
+        assert.deepEqual([shifted.minimum, shifted.maximum, shifted.proprietary], [1, 255, { from: 64, to: 255 }]);
+
+        const [flags] = parse('VendorFlags ::= BIT STRING { a (0), b (1), ... } -- Bits 0-31 are reserved for definition by ASHRAE. '
+            + 'Bits 32-63 may be used by others subject to the procedures and constraints described in Clause 23.');
+        assert.deepEqual(normalize(flags).type.length, { minimum: 2, maximum: 64 });
+        assert.deepEqual(normalize(flags).type.proprietary, { from: 32, to: 63 });
+
+        // Extensible types without a recognizable range keep the placeholder and are reported
+        const definitions = parse([
+            'VendorMode ::= ENUMERATED { off (0), ... } -- Values above 63 are for vendors',
+            'VendorRecord ::= SEQUENCE { flags [0] BIT STRING { a (0), ... } }',
+            'BACnetEngineeringUnits ::= ENUMERATED { percent (98), ... }'
+        ].join('\n'), { locations: true });
+        assert.deepEqual(normalize(definitions[0]).type.proprietary, { from: 1, to: 0 });
+        assert.deepEqual(validate(definitions).map(diagnostic => [diagnostic.code, diagnostic.severity, diagnostic.name, diagnostic.path, diagnostic.line]), [
+            ['UNKNOWN_PROPRIETARY_RANGE', 'warning', 'VendorMode', undefined, 1],
+            ['UNKNOWN_PROPRIETARY_RANGE', 'warning', 'VendorRecord', 'flags', 2]
+        ]);
+        assert.deepEqual(validate(definitions, { rules: [{ VendorMode: { proprietary: { from: 64, to: 255 } } }, ...defaultRules] })
+            .map(diagnostic => diagnostic.name), ['VendorRecord']);
+    });
+
+    check('createParser() and normalize() take other predefined types without file access', () => {
+        const directory = path.join(__dirname, '..', 'predefined');
+        const files = fs.readdirSync(directory).map(file => JSON.parse(fs.readFileSync(path.join(directory, file), 'utf8')));
+        assert.deepEqual(predefinedDefinitions, generatePredefined());
+        assert.deepEqual(files.map(file => file.name).sort(), predefinedDefinitions.map(type => type.name).sort());
+        assert.deepEqual(files.map(file => predefinedTypes.get(file.alias)), files);
+        for (const module of ['index.js', 'predefined.js', 'to-baclib-name.js']) {
+            const source = fs.readFileSync(path.join(__dirname, '..', 'src', module), 'utf8');
+            assert.deepEqual(source.match(/^import .* from '(?!\.\/)[^']*'/gm), null, module);
+        }
+
+        const [time] = parse('Time ::= OCTET STRING (SIZE(4))');
+        const vendorTime = { alias: 'Time', name: 'time', type: { base: 'octet-string', length: 4 } };
+        assert.equal(normalize(time), predefinedTypes.get('Time'));
+        assert.equal(normalize(time, { predefined: [vendorTime] }), vendorTime);
+        assert.deepEqual(normalize(time, { predefined: [] }), { name: 'time', alias: 'Time', type: { base: 'octet-string', length: 4 } });
+
+        const parser = createParser({ predefined: [...predefinedDefinitions.filter(type => type.name !== 'time'), vendorTime] });
+        assert.equal(parser.normalize(time), vendorTime);
+        assert.equal(parser.predefinedTypes.get('time'), vendorTime);
+        assert.equal(parser.predefinedTypes.get('Unsigned8'), predefinedTypes.get('Unsigned8'));
+        assert.equal(createParser({ predefined: parser.predefinedTypes }).predefinedTypes, parser.predefinedTypes);
+
+        // The generators resolve references with the same predefined types, as a Map or an array
+        const stamps = parser.normalizeAll(parse('Stamp ::= SEQUENCE { time [0] Time }'));
+        assert.deepEqual(toJsonSchema(stamps, { predefined: parser.predefinedTypes }).$defs.time,
+            { title: 'Time', $ref: '#/$defs/octet-string', minLength: 8, maxLength: 8 });
+        assert.deepEqual(toJsonSchema(stamps, { predefined: [...parser.predefinedTypes.values()] }).$defs,
+            toJsonSchema(stamps, { predefined: parser.predefinedTypes }).$defs);
+        assert.equal(toTypeScript(stamps, { predefined: parser.predefinedTypes }), 'export interface Stamp {\n    time: Uint8Array;\n}\n');
+        assert.throws(() => toTypeScript(stamps, { predefined: [] }), /Type 'time' is not defined/);
+
+        const registry = createRegistry(parse('Stamp ::= SEQUENCE { time [0] Time }'), { predefined: [vendorTime] });
+        assert.equal(registry.lookup('Time'), vendorTime);
+        assert.equal(registry.resolve('INTEGER'), undefined);
+    });
+
+    check('parseFiles() and parseDirectory() combine files and attribute definitions and errors', () => {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'bacnet-asn1-'));
+        try {
+            fs.mkdirSync(path.join(directory, 'vendor'));
+            fs.writeFileSync(path.join(directory, 'clause-21.asn1'), 'BACnetMode ::= ENUMERATED { off (0), on (1) }\nBACnetLevel ::= Unsigned8\n');
+            fs.writeFileSync(path.join(directory, 'vendor', 'acme.asn1'), '\nAcmeMode ::= BACnetMode\nBACnetLevel ::= Unsigned16\n');
+            fs.writeFileSync(path.join(directory, 'notes.txt'), 'Not ASN.1');
+
+            const project = parseDirectory(directory, { locations: true });
+            const clause = path.join(directory, 'clause-21.asn1');
+            const vendor = path.join(directory, 'vendor', 'acme.asn1');
+            assert.deepEqual(project.files, [clause, vendor]);
+            assert.deepEqual(project.definitions.map(definition => [definition.name, definition.file]),
+                [['BACnetMode', clause], ['BACnetLevel', clause], ['AcmeMode', vendor]]);
+            assert.deepEqual(project.diagnostics, [{
+                severity: 'error', code: 'DUPLICATE_DEFINITION', name: 'BACnetLevel', file: vendor, line: 3,
+                message: `Type 'BACnetLevel' is defined in both '${clause}' and '${vendor}'`
+            }]);
+            assert.deepEqual(createRegistry(project.definitions).diagnostics.filter(diagnostic => diagnostic.severity === 'error'), []);
+            assert.equal(normalize(project.definitions[1]).type, 'unsigned-8');
+
+            assert.deepEqual(parseFiles(path.join(directory, '**', '*.asn1')).files, [clause, vendor]);
+            assert.deepEqual(parseFiles([vendor, clause, vendor]).definitions.map(definition => definition.name),
+                ['AcmeMode', 'BACnetLevel', 'BACnetMode']);
+            assert.throws(() => parseFiles(path.join(directory, '*.asn')), /No files match/);
+
+            fs.writeFileSync(path.join(directory, 'vendor', 'broken.asn1'), 'AcmeLevel ::= SEQUENCE { a [0] }\n');
+            const error = catchError(() => parseDirectory(directory));
+            assert.ok(error instanceof ParserError);
+            assert.deepEqual([error.file, error.line, error.code], [path.join(directory, 'vendor', 'broken.asn1'), 1, 'TYPE_EXPECTED']);
+            const recovered = parseDirectory(directory, { recover: true });
+            assert.deepEqual(recovered.errors.map(error => error.file), [path.join(directory, 'vendor', 'broken.asn1')]);
+            assert.equal(recovered.definitions.length, 3);
+        } finally {
+            fs.rmSync(directory, { recursive: true, force: true });
+        }
+    });
+
+    check('normalizeAll() orders by dependencies and hoists inline structures', () => {
+        const definitions = parse([
+            'BACnetEventParameter ::= CHOICE {',
+            '    change-of-bitstring [0] SEQUENCE {',
+            '        time-delay [0] Unsigned,',
+            '        list-of-values [1] SEQUENCE OF SEQUENCE { mode [0] ENUMERATED { off (0), on (1) } }',
+            '    },',
+            '    change-of-state [1] BACnetStateRecord',
+            '}',
+            'BACnetStateRecord ::= SEQUENCE { time-delay [0] Unsigned8, state [1] BACnetState }',
+            'BACnetState ::= ENUMERATED { normal (0), fault (1) }',
+            'Unsigned8 ::= Unsigned (0..255)'
+        ].join('\n'));
+
+        const names = normalizeAll(definitions).map(definition => definition.name);
+        assert.deepEqual(names, ['unsigned-8', 'state', 'state-record', 'event-parameter']);
+        assert.deepEqual(normalizeAll(definitions)[3], normalize(definitions[0]));
+
+        const hoisted = normalizeAll(definitions, { hoist: true });
+        assert.deepEqual(hoisted.map(definition => definition.name), [
+            'event-parameter--change-of-bitstring--list-of-values--mode',
+            'event-parameter--change-of-bitstring--list-of-values',
+            'event-parameter--change-of-bitstring',
+            'unsigned-8',
+            'state',
+            'state-record',
+            'event-parameter'
+        ]);
+        assert.deepEqual(hoisted[1], {
+            name: 'event-parameter--change-of-bitstring--list-of-values',
+            type: { base: 'sequence', fields: [{ name: 'mode', type: 'event-parameter--change-of-bitstring--list-of-values--mode', context: 0 }] }
+        });
+        assert.deepEqual(hoisted[2].type.fields[1].type, { base: 'event-parameter--change-of-bitstring--list-of-values', series: true });
+        assert.deepEqual(hoisted[6].type.options.map(option => option.type), ['event-parameter--change-of-bitstring', 'state-record']);
+        assert.equal(hoisted[3], predefinedTypes.get('Unsigned8'));
+        assert.match(toTypeScript(hoisted), /export interface EventParameterChangeOfBitstringListOfValues \{\n {4}mode: EventParameterChangeOfBitstringListOfValuesMode;/);
+
+        // Cycles keep the given order
+        const cycle = parse('A ::= SEQUENCE { b [0] B }\nB ::= CHOICE { a [0] A, c [1] C }\nC ::= Real');
+        assert.deepEqual(normalizeAll(cycle).map(definition => definition.name), ['c', 'b', 'a']);
+    });
+
+    check('denormalize() inverts normalize() and fails when information was lost', () => {
+        const content = [
+            'BACnetLogRecord ::= SEQUENCE {',
+            '    timestamp [0] BACnetDateTime,',
+            '    log-datum [1] CHOICE {',
+            '        log-status [0] BACnetLogStatus,',
+            '        real-value [1] Real (-1000..1000),',
+            '        list-of-values [2] SEQUENCE SIZE (1..MAX) OF CharacterString (SIZE (0..32))',
+            '    },',
+            '    status-flags [2] BACnetStatusFlags OPTIONAL -- Present if changed',
+            '}',
+            'BACnetLogStatus ::= BIT STRING { log-disabled (0), buffer-purged (1), log-interrupted (2) }',
+            'BACnetDateTime ::= SEQUENCE { date Date, time Time }',
+            'BACnetStatusFlags ::= BIT STRING { in-alarm (0), fault (1), ... }',
+            'BACnetLifeSafetyMode ::= ENUMERATED { off (0), on (1), ... } -- Enumerated values 0-255 are reserved for definition by ASHRAE. '
+                + 'Enumerated values 256-65535 may be used by others subject to the procedures and constraints described in Clause 23.',
+            'BACnetCounter ::= Unsigned (0..18446744073709551615)'
+        ].join('\n');
+        const definitions = parse(content);
+        const normalized = definitions.map(definition => normalize(definition));
+        assert.deepStrictEqual(denormalize(normalized), definitions);
+        assert.deepStrictEqual(denormalize(normalized[4]), definitions[4]);
+        assert.equal(denormalize(normalized)[5].range.max, 18446744073709551615n);
+
+        // Predefined types can be edited as ASN.1
+        assert.equal(stringify(denormalize([predefinedTypes.get('week-n-day'), predefinedTypes.get('unsigned-64')])),
+            'BACnetWeekNDay ::= OCTET STRING (SIZE (3))\n\nUnsigned64 ::= Unsigned (0..18446744073709551615)\n');
+        // Equivalent spellings are restored as the predefined names
+        assert.deepStrictEqual(denormalize(normalize(parse('Level ::= REAL')[0])), { name: 'Level', type: 'Real' });
+
+        const lost = (definitions, options) => catchError(() => denormalize(definitions, options))?.message;
+        assert.match(lost(predefinedTypes.get('Real')), /'real': it has no type/);
+        assert.match(lost(normalizeAll(definitions.slice(0, 4), { hoist: true })), /'log-record--log-datum': its original name is lost/);
+        assert.match(lost(normalized[0]), /original name of type 'date-time' is unknown/);
+        assert.match(lost([{ ...normalized[2], type: { ...normalized[2].type, maximum: 7 } }]), /'date-time' exactly: normalizing the result differs at 'type.maximum'/);
+        assert.match(lost({ ...normalized[4], type: { ...normalized[4].type, maximum: 1023 } }), /differs at 'type.maximum'/);
+        assert.match(lost(normalized[3], { rules: [] }), /'status-flags' exactly/);
+        // stringify() restores what it can
+        assert.match(stringify(normalizeAll(definitions.slice(0, 4), { hoist: true })),
+            /^LogRecordLogDatum ::= CHOICE \{\n {4}log-status \[0\] BACnetLogStatus,/m);
+    });
+
+    check('Leading, trailing, multi-line and block comments become descriptions and comments', () => {
+        const content = [
+            '-- Module header',
+            '-- on two lines',
+            '',
+            '/* Mode of operation',
+            ' * (block comment) */',
+            'BACnetMode ::= ENUMERATED { -- Leads the first value',
+            '    off (0),      -- Trails off',
+            '                  -- and goes on',
+            '    -- Leads on',
+            '    on (1), /* Trails /* nested */ on */',
+            '    ...',
+            '} -- Enumerated values 0-63 are reserved for definition by ASHRAE.',
+            '  -- Enumerated values 64-255 may be used by others.',
+            '',
+            '-- Leads BACnetLevel',
+            'BACnetLevel ::= Real -- Trails BACnetLevel',
+            '-- directly below',
+            '',
+            '-- Leads the next definition'
+        ].join('\n');
+        const definitions = parse(content + '\n\nBACnetCount ::= Unsigned');
+        assert.deepStrictEqual(definitions[0], {
+            name: 'BACnetMode',
+            type: 'Enumerated',
+            items: [
+                { name: 'off', number: 0, description: 'Leads the first value', comment: 'Trails off\nand goes on' },
+                { name: 'on', number: 1, description: 'Leads on', comment: 'Trails /* nested */ on' }
+            ],
+            extensible: true,
+            description: 'Module header\non two lines\n\nMode of operation\n(block comment)',
+            comment: 'Enumerated values 0-63 are reserved for definition by ASHRAE.\nEnumerated values 64-255 may be used by others.'
+        });
+        assert.deepStrictEqual(definitions[1], { name: 'BACnetLevel', type: 'Real', description: 'Leads BACnetLevel', comment: 'Trails BACnetLevel\ndirectly below' });
+        assert.equal(definitions[2].description, 'Leads the next definition');
+
+        // Both are kept by normalize() and the generators, and survive stringify()
+        const normalized = normalize(definitions[0]);
+        assert.equal(normalized.description, definitions[0].description);
+        assert.deepEqual(normalized.type.values.map(value => value.description), ['Leads the first value', 'Leads on']);
+        assert.deepEqual(normalized.type.proprietary, { from: 64, to: 255 });
+        assert.deepStrictEqual(denormalize(normalized), definitions[0]);
+        assert.deepStrictEqual(parse(stringify(definitions)), definitions);
+        // Comments containing '--' are written as block comments
+        const dashes = parse('A ::= Real /* a -- b */\n\n/* leads\n   -- B */\nB ::= ENUMERATED { x (0), /* c -- d\n e */\n y (1) }');
+        assert.deepEqual([dashes[0].comment, dashes[1].description, dashes[1].items[0].comment], ['a -- b', 'leads\n-- B', 'c -- d\ne']);
+        assert.deepStrictEqual(parse(stringify(dashes)), dashes);
+        assert.equal(toJsonSchema([normalize(definitions[1])]).$defs.level.description, 'Leads BACnetLevel\nTrails BACnetLevel\ndirectly below');
+        assert.match(toTypeScript([normalize(definitions[1])]), /\/\*\*\n \* Leads BACnetLevel\n \* Trails BACnetLevel\n \* directly below\n \*\/\nexport type BACnetLevel = number;/);
+
+        const error = catchError(() => parse('BACnetLevel ::= Real /* unterminated\n'));
+        assert.equal(error.code, 'UNTERMINATED_COMMENT');
+        assert.equal(error.column, 22);
+        const recovered = parse('BACnetLevel ::= Real /* unterminated\nBACnetCount ::= Unsigned', { recover: true });
+        assert.deepEqual(recovered.errors.map(error => error.code), ['UNTERMINATED_COMMENT']);
+        assert.equal(recovered.definitions.length, 1);
+    });
+}
+
 // Generate HTML report
 function generateHtmlReport() {
     const endTime = new Date();
@@ -517,7 +1568,7 @@ function generateHtmlReport() {
                                     <div class="definition-header">${idx + 1}. ${def.name}</div>
                                     <div class="definition-prop"><span class="key">Type:</span> ${def.type}</div>
                                     ${def.primitive !== undefined ? `<div class="definition-prop"><span class="key">Primitive Tag:</span> [APPLICATION ${def.primitive}]</div>` : ''}
-                                    ${def.series !== undefined ? `<div class="definition-prop"><span class="key">Series:</span> ${def.series === true ? 'SEQUENCE OF' : `SEQUENCE SIZE (${def.series}) OF`}</div>` : ''}
+                                    ${def.series !== undefined ? `<div class="definition-prop"><span class="key">Series:</span> ${def.series === true ? 'SEQUENCE OF' : `SEQUENCE SIZE (${formatSeries(def.series)}) OF`}</div>` : ''}
                                     ${def.range ? `<div class="definition-prop"><span class="key">Range:</span> (${def.range.min}..${def.range.max})</div>` : ''}
                                     ${def.size ? `<div class="definition-prop"><span class="key">Size:</span> (${def.size.min}..${def.size.max})</div>` : ''}
                                     ${def.extensible ? `<div class="definition-prop"><span class="key">Extensible:</span> Yes (...)</div>` : ''}
@@ -620,6 +1671,7 @@ function generateHtmlReport() {
                         <div class="error-details" style="background: #e8f5e9; border-color: #2d7a2d;">
                             <h4 style="color: #1b5e20;">Error Caught as Expected</h4>
                             <div class="definition-prop"><span class="key">Error Type:</span> ${result.error.name}</div>
+                            ${result.error.code ? `<div class="definition-prop"><span class="key">Code:</span> ${result.error.code}</div>` : ''}
                             <div class="definition-prop"><span class="key">Message:</span> ${result.error.message}</div>
                             ${result.error.line !== 'N/A' ? `<div class="definition-prop"><span class="key">Line:</span> ${result.error.line}</div>` : ''}
                         </div>
@@ -644,6 +1696,26 @@ function generateHtmlReport() {
             `).join('')}
         </div>
 
+        <div class="section">
+            <h2>Feature Checks</h2>
+            ${results.features.map(result => `
+                <div class="test-result ${result.success ? 'pass' : 'fail'}">
+                    <div class="test-header">
+                        <div class="test-title">${escapeHtml(result.title)}</div>
+                        <span class="badge ${result.success ? 'pass' : 'fail'}">
+                            ${result.success ? 'PASS' : 'FAIL'}
+                        </span>
+                    </div>
+                    ${result.error ? `
+                        <div class="error-details">
+                            <h4>Check Failed</h4>
+                            <pre class="code-block">${escapeHtml(result.error)}</pre>
+                        </div>
+                    ` : ''}
+                </div>
+            `).join('')}
+        </div>
+
         <footer>
             <p>BACnet ASN.1 Parser Test Suite</p>
             <p>Report generated on ${new Date().toLocaleString()}</p>
@@ -677,6 +1749,10 @@ function runTests() {
     // Test invalid data
     logSubSection('Testing Invalid Data (Should Fail)');
     results.invalid = processDirectory(INVALID_DATA_DIR, false);
+
+    // Test features beyond single-file parsing
+    logSubSection('Testing Features');
+    runFeatureChecks();
     
     // Generate report
     logSection('Test Summary');